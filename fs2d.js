@@ -3,11 +3,12 @@
 import React, { createContext, useState, useEffect, useRef, useCallback, useContext } from 'react';
 import { initializeApp } from 'firebase/app';
 import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, doc, setDoc, getDoc } from 'firebase/firestore';
+import { getFirestore, doc, collection, setDoc, getDoc, getDocs, deleteDoc } from 'firebase/firestore';
 
 // --- Constants (previously in gameConstants.js) ---
 export const TILE_SIZE = 20;
-export const GRAVITY = 0.5;
+export const GRAVITY = 1800; // Pixels per second squared
+export const STEP_UP_HEIGHT = TILE_SIZE * 1.25; // Highest ledge anything walks or rolls onto without jumping (one tile, plus slack for gravity)
 
 export const WORLD_WIDTH_TILES = 150;
 export const WORLD_HEIGHT_TILES = 30;
@@ -15,7 +16,7 @@ export const WORLD_HEIGHT_TILES = 30;
 export const WORLD_WIDTH_PIXELS = WORLD_WIDTH_TILES * TILE_SIZE;
 export const WORLD_HEIGHT_PIXELS = WORLD_HEIGHT_TILES * TILE_SIZE;
 
-export const GROWTH_TIME_PER_STAGE = 5000; // 5 seconds per stage
+export const GROWTH_HOURS_PER_STAGE = 1 / 6; // Standard in-game hours per crop stage (about 5 real seconds)
 
 // Tile types
 export const TILE_TYPE = {
@@ -25,20 +26,8 @@ export const TILE_TYPE = {
     TILLED: 3,
     CROP_PLANTED: 4,
     CROP_GROWN: 5,
-};
-
-// Crop types
-export const CROP_TYPE = {
-    WHEAT: 'wheat',
-    CORN: 'corn',
-    POTATO: 'potato',
-};
-
-// Crop growth stages
-export const CROP_STAGE = {
-    SEED: 0,
-    YOUNG: 1,
-    MATURE: 2,
+    WATER: 6,
+    ROCK: 7,
 };
 
 // Base colors for tiles - Adjusted for more pixelated look
@@ -47,56 +36,294 @@ export const TILE_COLORS = {
     [TILE_TYPE.GRASS]: '#4CAF50', // More vibrant green, like the image
     [TILE_TYPE.DIRT]: '#6F4E37', // Darker, reddish-brown, like the image
     [TILE_TYPE.TILLED]: '#593d2b', // Slightly darker tilled earth
-    [CROP_TYPE.WHEAT]: {
-        [CROP_STAGE.SEED]: '#A0522D',
-        [CROP_STAGE.YOUNG]: '#8BC34A',
-        [CROP_STAGE.MATURE]: '#FFD700',
+    [TILE_TYPE.WATER]: '#3A7BD5',
+    [TILE_TYPE.ROCK]: '#7D7D7D',
+};
+
+export const WITHERED_CROP_COLOR = '#8B7355';
+
+// Seasons
+export const SEASON = {
+    SPRING: 'spring',
+    SUMMER: 'summer',
+    AUTUMN: 'autumn',
+    WINTER: 'winter',
+};
+
+// Weather
+export const WEATHER = {
+    CLEAR: 'clear',
+    CLOUDY: 'cloudy',
+    RAIN: 'rain',
+    THUNDERSTORM: 'thunderstorm',
+    DROUGHT: 'drought',
+    FROST: 'frost',
+};
+
+export const WEATHER_LABELS = {
+    [WEATHER.CLEAR]: 'Clear',
+    [WEATHER.CLOUDY]: 'Cloudy',
+    [WEATHER.RAIN]: 'Rain',
+    [WEATHER.THUNDERSTORM]: 'Thunderstorm',
+    [WEATHER.DROUGHT]: 'Drought',
+    [WEATHER.FROST]: 'Frost',
+};
+
+// Crop registry. Each crop is described once here; growth, harvesting, the shop, the HUD and the canvas all read
+// from it, so adding a crop only takes a new entry.
+//   stages        - growth stages in order, each with a name, plant color and the in-game hours spent in it. The last
+//                   stage is the harvestable one and has no duration. seedColor is used for seed icons
+//   sprite        - how the ripe plant is drawn, and its icon: 'grain', 'stalk', 'tuber' or 'vine'
+//   price         - sale price per unit; seedPrice is the cost per seed
+//   seasons       - seasons it can be planted in (out-of-season plantings never grow)
+//   baseYield     - units harvested from one tile of average soil, before water stress and weather damage
+//   regrowStage   - stage a plant drops back to after harvest, so it crops again for the rest of its seasons
+//                   (null for crops that are dug up)
+//   lodging       - tall stems that thunderstorms can flatten
+//   startingSeeds - seeds in a new farm's inventory
+export const CROP_DEFINITIONS = {
+    wheat: {
+        label: 'Wheat',
+        stages: [
+            { name: 'Seed', color: '#A0522D', hours: GROWTH_HOURS_PER_STAGE },
+            { name: 'Tillering', color: '#8BC34A', hours: GROWTH_HOURS_PER_STAGE },
+            { name: 'Ripe', color: '#FFD700' },
+        ],
+        seedColor: '#A0522D',
+        sprite: 'grain',
+        price: 10,
+        seedPrice: 2,
+        seasons: [SEASON.SPRING, SEASON.AUTUMN],
+        baseYield: 1,
+        regrowStage: null,
+        lodging: true,
+        startingSeeds: 50,
+    },
+    corn: {
+        label: 'Corn',
+        stages: [
+            { name: 'Seed', color: '#8B4513', hours: GROWTH_HOURS_PER_STAGE },
+            { name: 'Seedling', color: '#32CD32', hours: GROWTH_HOURS_PER_STAGE },
+            { name: 'Tasseling', color: '#2E8B57', hours: GROWTH_HOURS_PER_STAGE / 2 },
+            { name: 'Ripe', color: '#FFD700' },
+        ],
+        seedColor: '#8B4513',
+        sprite: 'stalk',
+        price: 15,
+        seedPrice: 3,
+        seasons: [SEASON.SPRING, SEASON.SUMMER],
+        baseYield: 1.2,
+        regrowStage: null,
+        lodging: false,
+        startingSeeds: 20,
     },
-    [CROP_TYPE.CORN]: {
-        [CROP_STAGE.SEED]: '#8B4513',
-        [CROP_STAGE.YOUNG]: '#32CD32',
-        [CROP_STAGE.MATURE]: '#FFD700',
+    potato: {
+        label: 'Potato',
+        stages: [
+            { name: 'Seed', color: '#6F4E37', hours: GROWTH_HOURS_PER_STAGE },
+            { name: 'Flowering', color: '#7CFC00', hours: GROWTH_HOURS_PER_STAGE },
+            { name: 'Ripe', color: '#A0522D' },
+        ],
+        seedColor: '#6F4E37',
+        sprite: 'tuber',
+        price: 12,
+        seedPrice: 2.5,
+        seasons: [SEASON.SPRING, SEASON.SUMMER, SEASON.AUTUMN],
+        baseYield: 1,
+        regrowStage: null,
+        lodging: false,
+        startingSeeds: 20,
     },
-    [CROP_TYPE.POTATO]: {
-        [CROP_STAGE.SEED]: '#6F4E37',
-        [CROP_STAGE.YOUNG]: '#7CFC00',
-        [CROP_STAGE.MATURE]: '#A0522D',
+    tomato: {
+        label: 'Tomato',
+        stages: [
+            { name: 'Seed', color: '#C2A878', hours: GROWTH_HOURS_PER_STAGE },
+            { name: 'Seedling', color: '#6B8E23', hours: GROWTH_HOURS_PER_STAGE },
+            { name: 'Flowering', color: '#9ACD32', hours: GROWTH_HOURS_PER_STAGE },
+            { name: 'Fruiting', color: '#E53935' },
+        ],
+        seedColor: '#C2A878',
+        sprite: 'vine',
+        price: 5,
+        seedPrice: 6,
+        seasons: [SEASON.SPRING, SEASON.SUMMER],
+        baseYield: 2,
+        regrowStage: 2,
+        lodging: false,
+        startingSeeds: 0,
+    },
+};
+
+// Crop type ids (CROP_TYPE.WHEAT === 'wheat', ...), derived from the registry
+export const CROP_TYPE = Object.fromEntries(Object.keys(CROP_DEFINITIONS).map(cropType => [cropType.toUpperCase(), cropType]));
+
+export const getSeedInventoryKey = (cropType) => `${cropType}Seeds`;
+
+export const getRipeStage = (cropType) => CROP_DEFINITIONS[cropType].stages.length - 1;
+
+export const isCropRipe = (crop) => crop.stage === getRipeStage(crop.type);
+
+export const getCropColor = (crop) => CROP_DEFINITIONS[crop.type].stages[crop.stage].color;
+
+// In-game hours of growth a crop has when it enters a stage
+export const getStageStartHours = (cropType, stage) => (
+    CROP_DEFINITIONS[cropType].stages.slice(0, stage).reduce((total, { hours }) => total + hours, 0)
+);
+
+// Produce quality grades, worst to best. Every harvested tile is graded by how well the crop grew, and each grade
+// sells at its own multiple of the crop's price. Inventory keeps one stack per grade: inventory.wheat = { bronze, ... }
+export const QUALITY_GRADE = {
+    BRONZE: 'bronze',
+    SILVER: 'silver',
+    GOLD: 'gold',
+};
+export const QUALITY_GRADES = [QUALITY_GRADE.BRONZE, QUALITY_GRADE.SILVER, QUALITY_GRADE.GOLD];
+export const QUALITY_PRICE_MULTIPLIERS = {
+    [QUALITY_GRADE.BRONZE]: 0.75,
+    [QUALITY_GRADE.SILVER]: 1,
+    [QUALITY_GRADE.GOLD]: 1.5,
+};
+export const QUALITY_COLORS = {
+    [QUALITY_GRADE.BRONZE]: '#CD7F32',
+    [QUALITY_GRADE.SILVER]: '#C0C0C0',
+    [QUALITY_GRADE.GOLD]: '#FFD700',
+};
+// Lowest growing conditions factor (see getGrowingConditionsFactor) that earns each grade above bronze
+export const QUALITY_THRESHOLDS = {
+    [QUALITY_GRADE.SILVER]: 0.85,
+    [QUALITY_GRADE.GOLD]: 1.2,
+};
+
+export const createProduceStack = () => Object.fromEntries(QUALITY_GRADES.map(grade => [grade, 0]));
+
+export const getProduceCount = (inventory, cropType) => (
+    QUALITY_GRADES.reduce((total, grade) => total + (inventory[cropType]?.[grade] || 0), 0)
+);
+
+export const getStoredProduceCount = (inventory) => (
+    Object.keys(CROP_DEFINITIONS).reduce((total, cropType) => total + getProduceCount(inventory, cropType), 0)
+);
+
+
+// The stage a crop has reached after growing for a number of in-game hours
+export const getCropStage = (cropType, growth) => {
+    const { stages } = CROP_DEFINITIONS[cropType];
+    let stage = 0;
+    let stageEnd = stages[0].hours;
+    while (stage < stages.length - 1 && growth >= stageEnd) {
+        stage++;
+        stageEnd += stages[stage].hours || 0;
     }
+    return stage;
 };
 
-// Crop prices (per unit)
-export const CROP_PRICES = {
-    [CROP_TYPE.WHEAT]: 10,
-    [CROP_TYPE.CORN]: 15,
-    [CROP_TYPE.POTATO]: 12,
+// Farm supply prices (per unit)
+export const SUPPLY_PRICES = {
+    fertilizer: 4,
+    pesticide: 6,
 };
 
-// Seed prices (per unit)
-export const SEED_PRICES = {
-    wheatSeeds: 2,
-    cornSeeds: 3,
-    potatoSeeds: 2.5,
+// Attachment that applies each supply to the fields
+export const SUPPLY_ATTACHMENTS = {
+    fertilizer: 'spreader',
+    pesticide: 'sprayer',
 };
 
 // Structure prices
 export const STRUCTURE_PRICES = {
     silo: 500,
+    sprinkler: 150,
 };
 
-// Vehicle Upgrade Tiers
+// Vehicle Upgrade Tiers (speed in pixels per second)
 export const VEHICLE_UPGRADE_TIERS = {
     tractor: [
-        { level: 0, speed: 2.5, maxFuel: 100, cost: 0 },
-        { level: 1, speed: 3.5, maxFuel: 150, cost: 200 },
-        { level: 2, speed: 4.5, maxFuel: 200, cost: 500 },
+        { level: 0, speed: 150, maxFuel: 100, cost: 0 },
+        { level: 1, speed: 210, maxFuel: 150, cost: 200 },
+        { level: 2, speed: 270, maxFuel: 200, cost: 500 },
     ],
     combineHarvester: [
-        { level: 0, speed: 2.0, maxFuel: 100, cost: 0 },
-        { level: 1, speed: 3.0, maxFuel: 150, cost: 300 },
-        { level: 2, speed: 4.0, maxFuel: 200, cost: 700 },
+        { level: 0, speed: 120, maxFuel: 100, cost: 0 },
+        { level: 1, speed: 180, maxFuel: 150, cost: 300 },
+        { level: 2, speed: 240, maxFuel: 200, cost: 700 },
     ],
 };
 
+// Initial entity state (also used to fill in missing fields when loading older saves).
+// Speeds, jump power and velocities are in pixels per second, fuel consumption in units per second of driving.
+export const INITIAL_PLAYER_STATE = {
+    x: WORLD_WIDTH_PIXELS / 4, y: TILE_SIZE * 14,
+    width: TILE_SIZE * 0.9, height: TILE_SIZE * 1.8,
+    speed: 180, jumpPower: 600,
+    vx: 0, vy: 0, onGround: false,
+    isInVehicle: false, facing: 'right',
+    inventory: {
+        ...Object.fromEntries(Object.entries(CROP_DEFINITIONS).map(([cropType, crop]) => [getSeedInventoryKey(cropType), crop.startingSeeds])),
+        ...Object.fromEntries(Object.keys(CROP_DEFINITIONS).map(cropType => [cropType, createProduceStack()])),
+        fertilizer: 10,
+        pesticide: 5,
+    },
+    money: 100,
+    water: 10, maxWater: 10, // Watering can uses from the water tank
+    maxStorage: 100, // Initial max storage for crops
+    siloBuilt: false,
+};
+
+export const INITIAL_TRACTOR_STATE = {
+    x: WORLD_WIDTH_PIXELS / 4 + 100, y: TILE_SIZE * 14,
+    width: TILE_SIZE * 4, // Adjusted width for the image
+    height: TILE_SIZE * 2.5, // Adjusted height for the image
+    speed: VEHICLE_UPGRADE_TIERS.tractor[0].speed, // Use base speed from tiers
+    jumpPower: 600, // Not applicable, but keeping structure
+    vx: 0, vy: 0, onGround: false,
+    equipment: null, isInVehicle: false, type: 'tractor', facing: 'right',
+    tilt: 0, // Radians, clockwise; follows the ground slope
+    fuel: VEHICLE_UPGRADE_TIERS.tractor[0].maxFuel, // Use base maxFuel
+    maxFuel: VEHICLE_UPGRADE_TIERS.tractor[0].maxFuel, // Use base maxFuel
+    fuelConsumption: 3,
+    upgradeLevel: 0, // Current upgrade level
+};
+
+export const INITIAL_PLOW_STATE = {
+    x: 0, y: 0, // Initialized with dummy values, will be set in generateWorld
+    width: TILE_SIZE * 3, height: TILE_SIZE * 1.5,
+    vx: 0, vy: 0, onGround: false, isHitched: false, type: 'plow', tilt: 0
+};
+
+export const INITIAL_SEEDER_STATE = {
+    x: 0, y: 0, // Initialized with dummy values, will be set in generateWorld
+    width: TILE_SIZE * 3.5, height: TILE_SIZE * 1.8,
+    vx: 0, vy: 0, onGround: false, isHitched: false, type: 'seeder', tilt: 0
+};
+
+export const INITIAL_SPREADER_STATE = {
+    x: 0, y: 0, // Initialized with dummy values, will be set in generateWorld
+    width: TILE_SIZE * 3, height: TILE_SIZE * 1.6,
+    vx: 0, vy: 0, onGround: false, isHitched: false, type: 'spreader', tilt: 0,
+    lastSpreadTileX: null, // Column dosed most recently, so each tile gets one dose per pass
+};
+
+export const INITIAL_SPRAYER_STATE = {
+    x: WORLD_WIDTH_PIXELS / 4 + 100 + 290, y: TILE_SIZE * 14, // Also where saves from before the sprayer find it
+    width: TILE_SIZE * 3, height: TILE_SIZE * 1.6,
+    vx: 0, vy: 0, onGround: false, isHitched: false, type: 'sprayer', tilt: 0,
+    lastSprayTileX: null, // Column treated most recently, so each crop is sprayed once per pass
+};
+
+export const INITIAL_COMBINE_HARVESTER_STATE = {
+    x: WORLD_WIDTH_PIXELS / 2 - TILE_SIZE * 12, y: TILE_SIZE * 14, // Parked in the farmyard, left of the silo site
+    width: TILE_SIZE * 5, height: TILE_SIZE * 3,
+    speed: VEHICLE_UPGRADE_TIERS.combineHarvester[0].speed, // Use base speed from tiers
+    jumpPower: 600, // Not applicable
+    vx: 0, vy: 0, onGround: false,
+    isHitched: false, isInVehicle: false, type: 'combine harvester', facing: 'right',
+    tilt: 0,
+    fuel: VEHICLE_UPGRADE_TIERS.combineHarvester[0].maxFuel, // Use base maxFuel
+    maxFuel: VEHICLE_UPGRADE_TIERS.combineHarvester[0].maxFuel, // Use base maxFuel
+    fuelConsumption: 4.2,
+    upgradeLevel: 0, // Current upgrade level
+};
+
 // Day-Night Cycle Colors
 export const DEEP_NIGHT_SKY_COLOR = '#1A1A2E';
 export const DAWN_SKY_COLOR = '#4682B4';
@@ -106,10 +333,28 @@ export const AFTERNOON_SKY_COLOR = '#6A5ACD';
 export const SUNSET_TINT_COLOR = '#FF7F50';
 export const DUSK_SKY_COLOR = '#483D8B';
 
-// Day speed (1 real minute = 1 in-game day)
-export const DAY_SPEED = 1 / 1800; // 1 in-game hour per 1/150th of a second, adjusted for 60 FPS
+// Day speed (12 real minutes = 1 in-game day)
+export const DAY_SPEED = 1 / 30; // In-game hours per real second
+export const REAL_MS_TO_GAME_HOURS = DAY_SPEED / 1000;
+
+// What happens to the farm while a save sits unplayed
+export const OFFLINE_GROWTH_POLICY = {
+    PAUSED: 'paused', // Time stands still while saved
+    REALTIME: 'realtime', // Catch up on all real time that passed
+    CAPPED: 'capped', // Catch up, but at most OFFLINE_CATCH_UP_CAP_HOURS
+};
+export const OFFLINE_CATCH_UP_CAP_HOURS = 24; // In-game hours
+export const OFFLINE_CATCH_UP_MAX_INSTALLMENTS = 2; // Per loan; the rest of its schedule moves back
+
+export const SAVE_GAME_DOC_ID = 'myFarmSave'; // Default slot, also where saves from before slots existed live
+export const DEFAULT_SAVE_SLOT_NAME = 'My Farm';
+
+export const AUTOSAVE_SLOT_ID = 'autosave';
+export const AUTOSAVE_SLOT_NAME = 'Autosave';
+export const AUTOSAVE_INTERVAL_OPTIONS = [0, 1, 5, 10, 15]; // Minutes, 0 = Off
 
-export const SAVE_GAME_DOC_ID = 'myFarmSave';
+// Bump whenever the save shape changes, and add a matching entry to SAVE_MIGRATIONS
+export const SAVE_SCHEMA_VERSION = 6;
 
 // --- Utility Functions (previously in gameUtils.js) ---
 // Utility function to linearly interpolate between two colors (hex strings)
@@ -140,8 +385,9 @@ export const applyLightFactorToColor = (hexColor, factor) => {
     return `#${(1 << 24 | newR << 16 | newG << 8 | newB).toString(16).slice(1).toUpperCase()}`;
 };
 
-// Function to get current sky color based on gameTime
-export const getSkyColor = (time, colors) => {
+// Function to get current sky color based on gameTime (and the season's daylight hours and tint)
+export const getSkyColor = (clockTime, colors, season = SEASON.SPRING) => {
+    const time = toSolarTime(clockTime, season);
     let currentSkyColor;
     let transitionFactor;
 
@@ -170,11 +416,14 @@ export const getSkyColor = (time, colors) => {
     } else { // Early Night (21:00 - 24:00)
         currentSkyColor = colors.DEEP_NIGHT_SKY_COLOR;
     }
-    return currentSkyColor;
+
+    const tint = SEASON_SKY_TINTS[season];
+    return tint ? lerpColor(currentSkyColor, tint.color, tint.amount) : currentSkyColor;
 };
 
 // Function to get current ambient light factor (for ground, objects)
-export const getAmbientLightFactor = (time) => {
+export const getAmbientLightFactor = (clockTime, season = SEASON.SPRING) => {
+    const time = toSolarTime(clockTime, season);
     let lightFactor;
 
     if (time >= 5 && time < 7) {
@@ -193,12 +442,116 @@ export const getAmbientLightFactor = (time) => {
     return lightFactor;
 };
 
-// Function to update entity position and handle basic collisions
-export const updateEntityPosition = (entity, world, WORLD_WIDTH_TILES) => {
+// Function to grow every planted crop by a number of in-game hours. Growing crops drink soil moisture; once a tile
+// dries out below CROP_STALL_MOISTURE the crop stops growing, and after CROP_WITHER_HOURS without water it withers.
+// Every hour spent stalled is also counted in crop.stressHours, which lowers the eventual yield. Weeds slow growth down
+// and diseased crops wither once they've been sick for DISEASE_WITHER_HOURS.
+// Tiles in reach of a sprinkler are kept at SPRINKLER_MOISTURE or above.
+export const advanceCropGrowth = (world, hours, sprinklers = []) => {
+    const irrigatedTiles = getIrrigatedTiles(sprinklers);
+
+    return world.map((row, y) => row.map((tile, x) => {
+        const isIrrigated = irrigatedTiles.size > 0 && tile.soil && irrigatedTiles.has(`${x},${y}`);
+        if (isIrrigated && tile.soil.moisture < SPRINKLER_MOISTURE) {
+            tile = { ...tile, soil: { ...tile.soil, moisture: SPRINKLER_MOISTURE } };
+        }
+        if (tile.crop?.diseased && !tile.crop.withered) {
+            const diseaseHours = (tile.crop.diseaseHours || 0) + hours;
+            tile = { ...tile, crop: { ...tile.crop, diseaseHours, withered: diseaseHours >= DISEASE_WITHER_HOURS } };
+        }
+        if (!tile.crop || tile.type !== TILE_TYPE.CROP_PLANTED || tile.crop.withered) return tile;
+
+        const soil = tile.soil || DEFAULT_SOIL;
+        // Out-of-season crops never take hold, and wither like dry ones
+        const wetHours = tile.crop.outOfSeason ? 0
+            : isIrrigated ? hours : Math.min(hours, Math.max(0, (soil.moisture - CROP_STALL_MOISTURE) / CROP_WATER_USE_PER_HOUR));
+        const moisture = isIrrigated ? soil.moisture : soil.moisture - wetHours * CROP_WATER_USE_PER_HOUR;
+        const dryHours = wetHours > 0 ? hours - wetHours : (tile.crop.dryHours || 0) + hours;
+        const stressHours = (tile.crop.stressHours || 0) + hours - wetHours;
+        if (dryHours >= CROP_WITHER_HOURS) {
+            return { ...tile, soil: { ...soil, moisture }, crop: { ...tile.crop, dryHours, stressHours, withered: true } };
+        }
+
+        const growth = tile.crop.growth + wetHours * getSoilGrowthFactor(soil) * (tile.weeds ? WEED_GROWTH_FACTOR : 1);
+        const stage = getCropStage(tile.crop.type, growth);
+        const crop = { ...tile.crop, growth, stage, dryHours, stressHours };
+        return {
+            ...tile,
+            soil: { ...soil, moisture },
+            crop,
+            type: isCropRipe(crop) ? TILE_TYPE.CROP_GROWN : TILE_TYPE.CROP_PLANTED
+        };
+    }));
+};
+
+// How well a crop grew: the soil, the water stress it went through, any storm damage and any weeds, pests or disease.
+// 1 for a healthy, unstressed crop on DEFAULT_SOIL, up to 1.5 on the best ground
+export const getGrowingConditionsFactor = (tile) => {
+    const waterFactor = Math.max(MIN_STRESS_YIELD_FACTOR, 1 - (tile.crop.stressHours || 0) * STRESS_YIELD_LOSS_PER_HOUR);
+    const weatherFactor = tile.crop.flattened ? FLATTENED_YIELD_FACTOR : 1;
+    return getSoilYield(tile.soil || DEFAULT_SOIL) * waterFactor * weatherFactor * getThreatYieldFactor(tile);
+};
+
+// Expected units from harvesting a ripe tile
+export const getExpectedYield = (tile) => CROP_DEFINITIONS[tile.crop.type].baseYield * getGrowingConditionsFactor(tile);
+
+// Quality grade of the produce a ripe tile gives
+export const getCropQuality = (tile) => {
+    const conditions = getGrowingConditionsFactor(tile);
+    if (conditions >= QUALITY_THRESHOLDS[QUALITY_GRADE.GOLD]) return QUALITY_GRADE.GOLD;
+    if (conditions >= QUALITY_THRESHOLDS[QUALITY_GRADE.SILVER]) return QUALITY_GRADE.SILVER;
+    return QUALITY_GRADE.BRONZE;
+};
+
+// Function to work out how many in-game hours to simulate for a save that sat unplayed
+export const getOfflineCatchUpHours = (savedAt, now, policy) => {
+    if (!savedAt || policy === OFFLINE_GROWTH_POLICY.PAUSED) return 0;
+
+    const elapsedHours = Math.max(0, now - savedAt) * REAL_MS_TO_GAME_HOURS;
+    return policy === OFFLINE_GROWTH_POLICY.CAPPED ? Math.min(elapsedHours, OFFLINE_CATCH_UP_CAP_HOURS) : elapsedHours;
+};
+
+// Function to fast-forward loaded game state (clock and crops) by a number of in-game hours. Loan installments that
+// fell due meanwhile are billed by the next step, but no more than OFFLINE_CATCH_UP_MAX_INSTALLMENTS of them per loan.
+export const applyOfflineCatchUp = (state, hours) => {
+    if (hours <= 0) return state;
+
+    const totalHours = state.gameTime + hours;
+    const day = state.day + Math.floor(totalHours / 24);
+    const firstBilledDay = day - OFFLINE_CATCH_UP_MAX_INSTALLMENTS + 1;
+    return {
+        ...state,
+        world: advanceCropGrowth(state.world, hours, state.sprinklers),
+        gameTime: totalHours % 24,
+        day,
+        bank: {
+            ...state.bank,
+            loans: state.bank.loans.map(loan => (loan.nextPaymentDay < firstBilledDay ? { ...loan, nextPaymentDay: firstBilledDay } : loan)),
+        },
+    };
+};
+
+// Water is drawn like ground but entities sink through it to the bed
+export const isSolidTile = (tile) => tile.type !== TILE_TYPE.SKY && tile.type !== TILE_TYPE.WATER;
+
+// Function to check that a rectangle doesn't overlap any solid tile
+export const isAreaClear = (world, x, y, width, height) => {
+    for (let tileY = Math.floor(y / TILE_SIZE); tileY <= Math.floor((y + height - 1) / TILE_SIZE); tileY++) {
+        for (let tileX = Math.floor(x / TILE_SIZE); tileX <= Math.floor((x + width - 1) / TILE_SIZE); tileX++) {
+            if (tileY >= 0 && tileY < world.length && tileX >= 0 && tileX < world[tileY].length && isSolidTile(world[tileY][tileX])) {
+                return false;
+            }
+        }
+    }
+    return true;
+};
+
+// Function to update entity position and handle basic collisions (dt in seconds)
+export const updateEntityPosition = (entity, world, WORLD_WIDTH_TILES, dt) => {
     let newEntity = { ...entity };
-    newEntity.vy += GRAVITY;
-    newEntity.y += newEntity.vy;
-    newEntity.x += newEntity.vx;
+    newEntity.vy += GRAVITY * dt;
+    newEntity.y += newEntity.vy * dt;
+    newEntity.x += newEntity.vx * dt;
     newEntity.onGround = false;
 
     if (newEntity.x < 0) newEntity.x = 0;
@@ -213,7 +566,7 @@ export const updateEntityPosition = (entity, world, WORLD_WIDTH_TILES) => {
         for (let x = leftTile; x <= rightTile; x++) {
             if (x >= 0 && x < WORLD_WIDTH_TILES && y >= 0 && y < world.length) {
                 const tile = world[y][x];
-                if (tile.type !== TILE_TYPE.SKY) {
+                if (isSolidTile(tile)) {
                     const tileTop = y * TILE_SIZE;
                     const tileBottom = tileTop + TILE_SIZE;
                     const tileLeft = x * TILE_SIZE;
@@ -229,6 +582,12 @@ export const updateEntityPosition = (entity, world, WORLD_WIDTH_TILES) => {
                         } else if (newEntity.vy < 0) {
                             newEntity.y = tileBottom;
                             newEntity.vy = 0;
+                        } else if (newEntity.vx !== 0 && newEntity.y + newEntity.height - tileTop <= STEP_UP_HEIGHT &&
+                            isAreaClear(world, newEntity.x, tileTop - newEntity.height, newEntity.width, newEntity.height)) {
+                            // Low ledge: climb onto it instead of stopping dead
+                            newEntity.y = tileTop - newEntity.height;
+                            newEntity.vy = 0;
+                            newEntity.onGround = true;
                         } else if (newEntity.vx > 0) {
                             newEntity.x = tileLeft - newEntity.width;
                             newEntity.vx = 0;
@@ -244,167 +603,2989 @@ export const updateEntityPosition = (entity, world, WORLD_WIDTH_TILES) => {
     return newEntity;
 };
 
-// --- SVG Icons (previously in assets/icons.js) ---
-export const WheatIcon = ({ size = 16, color = '#FFD700' }) => (
-    <svg width={size} height={size} viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-        <path d="M12 2L12 22M12 2L15 6M12 2L9 6M12 22L9 18M12 22L15 18" stroke={color} strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-        <path d="M10 10C10 11.1046 10.8954 12 12 12C13.1046 12 14 11.1046 14 10C14 8.89543 13.1046 8 12 8C10.8954 8 10 8.89543 10 10Z" fill={color}/>
-    </svg>
-);
+// --- Save Storage Adapters ---
+// Every save backend exposes the same async interface, so GameProvider doesn't need to know where saves live:
+//   { id, label, list() -> [slotMeta], save(slotId, data, meta), load(slotId) -> data | null, remove(slotId), rename(slotId, name) }
+// Slot metadata ({ id, name, savedAt, money, day, thumbnail }) is stored apart from the game data so listing slots stays cheap.
+export const LOCAL_STORAGE_KEY_PREFIX = 'fs2d';
+
+// Utility function to generate a unique save slot id
+export const createSaveSlotId = () => `slot-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+// Utility function to describe a save written before slots existed (it has game data but no metadata)
+export const createLegacySlotMeta = (data) => ({
+    id: SAVE_GAME_DOC_ID,
+    name: DEFAULT_SAVE_SLOT_NAME,
+    savedAt: null,
+    money: data?.player?.money ?? 0,
+    day: data?.day ?? 1,
+    thumbnail: null,
+});
+
+// Firestore backend (cloud saves per authenticated user)
+export const createFirestoreStorageAdapter = (db, appId, userId) => {
+    const userPath = `artifacts/${appId}/users/${userId}`;
+    const slotRef = (slotId) => doc(db, `${userPath}/gameStates`, slotId);
+    const metaRef = (slotId) => doc(db, `${userPath}/saveSlots`, slotId);
+
+    return {
+        id: 'firestore',
+        label: 'Cloud (Firebase)',
+        list: async () => {
+            const snapshot = await getDocs(collection(db, `${userPath}/saveSlots`));
+            const slots = snapshot.docs.map(metaDoc => ({ ...metaDoc.data(), id: metaDoc.id }));
+            if (!slots.some(slot => slot.id === SAVE_GAME_DOC_ID)) {
+                const legacySnap = await getDoc(slotRef(SAVE_GAME_DOC_ID));
+                if (legacySnap.exists()) slots.push(createLegacySlotMeta(legacySnap.data()));
+            }
+            return slots;
+        },
+        save: async (slotId, data, meta) => {
+            await setDoc(slotRef(slotId), data);
+            await setDoc(metaRef(slotId), meta);
+        },
+        load: async (slotId) => {
+            const docSnap = await getDoc(slotRef(slotId));
+            return docSnap.exists() ? docSnap.data() : null;
+        },
+        remove: async (slotId) => {
+            await deleteDoc(slotRef(slotId));
+            await deleteDoc(metaRef(slotId));
+        },
+        rename: async (slotId, name) => {
+            await setDoc(metaRef(slotId), { name }, { merge: true });
+        },
+    };
+};
 
-export const CornIcon = ({ size = 16, color = '#FFD700' }) => (
-    <svg width={size} height={size} viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-        <path d="M12 2V22M12 2C10 2 9 4 9 6C9 8 10 10 12 10C14 10 15 8 15 6C15 4 14 2 12 2Z" stroke={color} strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-        <path d="M12 10C10 10 9 12 9 14C9 16 10 18 12 18C14 18 15 16 15 14C15 12 14 10 12 10Z" fill={color}/>
-        <path d="M12 18C10 18 9 20 9 22H15C15 20 14 18 12 18Z" fill={color}/>
-    </svg>
+// Browser backend (localStorage), used when Firebase is unavailable
+export const createLocalStorageAdapter = (storage = window.localStorage, keyPrefix = LOCAL_STORAGE_KEY_PREFIX) => {
+    const slotKey = (slotId) => `${keyPrefix}:save:${slotId}`;
+    const indexKey = `${keyPrefix}:slots`;
+    const readIndex = () => JSON.parse(storage.getItem(indexKey) || '[]');
+    const writeIndex = (slots) => storage.setItem(indexKey, JSON.stringify(slots));
+
+    return {
+        id: 'local',
+        label: 'This Browser (Offline)',
+        list: async () => readIndex(),
+        save: async (slotId, data, meta) => {
+            storage.setItem(slotKey(slotId), JSON.stringify(data));
+            writeIndex([...readIndex().filter(slot => slot.id !== slotId), meta]);
+        },
+        load: async (slotId) => {
+            const raw = storage.getItem(slotKey(slotId));
+            return raw ? JSON.parse(raw) : null;
+        },
+        remove: async (slotId) => {
+            storage.removeItem(slotKey(slotId));
+            writeIndex(readIndex().filter(slot => slot.id !== slotId));
+        },
+        rename: async (slotId, name) => {
+            writeIndex(readIndex().map(slot => (slot.id === slotId ? { ...slot, name } : slot)));
+        },
+    };
+};
+
+// In-memory backend, used for tests and as a last resort when localStorage is blocked
+export const createMemoryStorageAdapter = (initialSaves = {}) => {
+    // Round-trip through JSON so callers can't mutate stored saves and get the same shape as the other backends
+    const saves = new Map(Object.entries(initialSaves).map(([slotId, data]) => [slotId, JSON.stringify(data)]));
+    const slotMetas = new Map(Object.entries(initialSaves).map(([slotId, data]) => [slotId, { ...createLegacySlotMeta(data), id: slotId }]));
+
+    return {
+        id: 'memory',
+        label: 'Memory (Lost on Reload)',
+        list: async () => [...slotMetas.values()].map(meta => ({ ...meta })),
+        save: async (slotId, data, meta) => {
+            saves.set(slotId, JSON.stringify(data));
+            slotMetas.set(slotId, { ...meta });
+        },
+        load: async (slotId) => {
+            const raw = saves.get(slotId);
+            return raw ? JSON.parse(raw) : null;
+        },
+        remove: async (slotId) => {
+            saves.delete(slotId);
+            slotMetas.delete(slotId);
+        },
+        rename: async (slotId, name) => {
+            const meta = slotMetas.get(slotId);
+            if (meta) slotMetas.set(slotId, { ...meta, name });
+        },
+    };
+};
+
+// Utility function to check whether localStorage can actually be written (it throws in some private modes)
+export const isLocalStorageAvailable = () => {
+    try {
+        const testKey = `${LOCAL_STORAGE_KEY_PREFIX}:storage-test`;
+        window.localStorage.setItem(testKey, '1');
+        window.localStorage.removeItem(testKey);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// Picks the best backend that works without Firebase
+export const createOfflineStorageAdapter = () => (
+    isLocalStorageAvailable() ? createLocalStorageAdapter() : createMemoryStorageAdapter()
 );
 
-export const PotatoIcon = ({ size = 16, color = '#A0522D' }) => (
-    <svg width={size} height={size} viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-        <ellipse cx="12" cy="12" rx="8" ry="6" fill={color}/>
-        <circle cx="8" cy="10" r="1.5" fill="#8B4513"/>
-        <circle cx="16" cy="14" r="1.5" fill="#8B4513"/>
-        <circle cx="10" cy="16" r="1" fill="#8B4513"/>
-    </svg>
+// Utility function to grab a small preview image for a save slot.
+// Uses the minimap because the main canvas can be tainted by the cross-origin tractor image.
+export const captureSaveThumbnail = () => {
+    try {
+        const minimapCanvas = document.getElementById('minimap-canvas');
+        return minimapCanvas ? minimapCanvas.toDataURL('image/jpeg', 0.7) : null;
+    } catch (error) {
+        console.warn("Could not capture save thumbnail:", error);
+        return null;
+    }
+};
+
+// Offers text to the player as a file download
+export const downloadTextFile = (text, filename, mimeType = 'text/plain') => {
+    const blob = new Blob([text], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// Offers a JSON document to the player as a file download
+export const downloadJsonFile = (data, filename) => downloadTextFile(JSON.stringify(data, null, 2), filename, 'application/json');
+
+// --- Save Schema & Migrations ---
+// Saves carry a schemaVersion. Older saves are upgraded one version at a time through SAVE_MIGRATIONS,
+// then validated: missing or mistyped fields are filled from the initial state, and unrecoverable data is rejected.
+
+// Utility function to create an error that marks save data (rather than the storage backend) as the problem
+export const createSaveDataError = (message) => Object.assign(new Error(message), { name: 'SaveDataError' });
+
+// Fields that v1 saves stored but that are purely transient UI/animation state
+const LEGACY_TRANSIENT_SAVE_KEYS = ['clouds', 'birds', 'planes', 'balloons', 'cameraX', 'cameraY', 'isShopOpen', 'sunState', 'moonState'];
+
+// SAVE_MIGRATIONS[n] upgrades a save from schema version n to n + 1
+export const SAVE_MIGRATIONS = {
+    // v1 (unversioned) -> v2: drop transient state, keep only the type of the hitched equipment
+    1: (data) => {
+        const migrated = Object.fromEntries(Object.entries(data).filter(([key]) => !LEGACY_TRANSIENT_SAVE_KEYS.includes(key)));
+        if (migrated.tractor && migrated.tractor.equipment) {
+            migrated.tractor = { ...migrated.tractor, equipment: { type: migrated.tractor.equipment.type } };
+        }
+        return migrated;
+    },
+    // v2 -> v3: crops track accumulated in-game growth hours instead of a real-time plantedTime
+    2: (data) => {
+        if (typeof data.world !== 'string') return data;
+        const world = JSON.parse(data.world).map(row => row.map(tile => {
+            if (!tile || !tile.crop) return tile;
+            const { plantedTime, ...crop } = tile.crop;
+            return { ...tile, crop: { ...crop, growth: (crop.stage || 0) * GROWTH_HOURS_PER_STAGE } }; // Every crop used the standard stage length then
+        }));
+        return { ...data, world: JSON.stringify(world) };
+    },
+    // v3 -> v4: speeds, jump power, velocities and fuel use went from per-frame (at 60 FPS) to per-second units
+    3: (data) => {
+        const FRAMES_PER_SECOND = 60;
+        const perSecondKeys = ['speed', 'jumpPower', 'vx', 'vy', 'fuelConsumption'];
+        const toPerSecond = (entity) => {
+            if (!entity || typeof entity !== 'object') return entity;
+            const converted = { ...entity };
+            for (const key of perSecondKeys) {
+                if (typeof converted[key] === 'number') converted[key] *= FRAMES_PER_SECOND;
+            }
+            return converted;
+        };
+        return {
+            ...data,
+            player: toPerSecond(data.player),
+            tractor: toPerSecond(data.tractor),
+            plow: toPerSecond(data.plow),
+            seeder: toPerSecond(data.seeder),
+            combineHarvester: toPerSecond(data.combineHarvester),
+        };
+    },
+    // v4 -> v5: a tile's single soilQuality growth multiplier became soil { fertility, moisture, ph }
+    4: (data) => {
+        if (typeof data.world !== 'string') return data;
+        const world = JSON.parse(data.world).map(row => row.map(tile => {
+            if (!tile || tile.soilQuality === undefined) return tile;
+            const { soilQuality, ...rest } = tile;
+            const fertility = typeof soilQuality === 'number'
+                ? Math.round(Math.min(1, Math.max(0, (soilQuality - 0.6) / 0.8)) * 100) / 100
+                : DEFAULT_SOIL.fertility;
+            return { ...rest, soil: { ...DEFAULT_SOIL, fertility } };
+        }));
+        return { ...data, world: JSON.stringify(world) };
+    },
+    // v5 -> v6: harvested crops became stacks by quality grade; ungraded stock counts as standard (silver) quality
+    5: (data) => {
+        if (!data.player || !data.player.inventory) return data;
+        const inventory = { ...data.player.inventory };
+        for (const cropType of Object.keys(CROP_DEFINITIONS)) {
+            if (typeof inventory[cropType] === 'number') {
+                inventory[cropType] = { ...createProduceStack(), [QUALITY_GRADE.SILVER]: inventory[cropType] };
+            }
+        }
+        return { ...data, player: { ...data.player, inventory } };
+    },
+};
+
+// Utility function to fill missing or mistyped fields of a loaded object from a defaults object
+export const fillDefaults = (defaults, value) => {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) return defaults;
+
+    const filled = { ...value };
+    for (const [key, defaultValue] of Object.entries(defaults)) {
+        const loadedValue = value[key];
+        if (defaultValue !== null && typeof defaultValue === 'object' && !Array.isArray(defaultValue)) {
+            filled[key] = fillDefaults(defaultValue, loadedValue);
+        } else if (defaultValue === null) {
+            if (loadedValue === undefined) filled[key] = null;
+        } else if (typeof loadedValue !== typeof defaultValue || Number.isNaN(loadedValue)) {
+            filled[key] = defaultValue;
+        }
+    }
+    return filled;
+};
+
+// Runs the migration chain until the save matches SAVE_SCHEMA_VERSION
+export const migrateSaveData = (data) => {
+    let version = data.schemaVersion ?? 1;
+    if (!Number.isInteger(version) || version < 1) {
+        throw createSaveDataError(`Unknown save schema version "${version}".`);
+    }
+    if (version > SAVE_SCHEMA_VERSION) {
+        throw createSaveDataError(`Save uses schema v${version}, but this game only supports up to v${SAVE_SCHEMA_VERSION}.`);
+    }
+
+    let migrated = data;
+    while (version < SAVE_SCHEMA_VERSION) {
+        const migrate = SAVE_MIGRATIONS[version];
+        if (!migrate) throw createSaveDataError(`No migration from save schema v${version}.`);
+        migrated = { ...migrate(migrated), schemaVersion: version + 1 };
+        version++;
+    }
+    return migrated;
+};
+
+// Parses and checks the serialized world grid
+const validateSavedWorld = (serializedWorld) => {
+    let world;
+    try {
+        world = typeof serializedWorld === 'string' ? JSON.parse(serializedWorld) : serializedWorld;
+    } catch (error) {
+        throw createSaveDataError("World data is unreadable.");
+    }
+
+    if (!Array.isArray(world) || world.length !== WORLD_HEIGHT_TILES ||
+        world.some(row => !Array.isArray(row) || row.length !== WORLD_WIDTH_TILES)) {
+        throw createSaveDataError(`World must be ${WORLD_WIDTH_TILES}x${WORLD_HEIGHT_TILES} tiles.`);
+    }
+
+    const tileTypes = Object.values(TILE_TYPE);
+    const cropTypes = Object.keys(CROP_DEFINITIONS);
+
+    return world.map((row, y) => row.map((tile, x) => {
+        if (!tile || !tileTypes.includes(tile.type)) {
+            throw createSaveDataError(`Tile (${x}, ${y}) has an unknown type.`);
+        }
+        if (tile.soil !== undefined || SOIL_TILE_TYPES.includes(tile.type)) {
+            tile = { ...tile, soil: clampSoil(fillDefaults(DEFAULT_SOIL, tile.soil)) };
+        }
+        if (tile.lastCrop && !cropTypes.includes(tile.lastCrop)) {
+            tile = { ...tile, lastCrop: null };
+        }
+        if (!tile.crop) return { ...tile, crop: null };
+        if (!cropTypes.includes(tile.crop.type) || !Number.isInteger(tile.crop.stage) || tile.crop.stage < 0) {
+            throw createSaveDataError(`Crop at tile (${x}, ${y}) is invalid.`);
+        }
+        const growth = typeof tile.crop.growth === 'number' && tile.crop.growth >= 0
+            ? tile.crop.growth
+            : getStageStartHours(tile.crop.type, Math.min(tile.crop.stage, getRipeStage(tile.crop.type)));
+        // Stages are worked out from growth again, in case the crop's stage list changed since the save
+        const crop = { ...tile.crop, growth, stage: getCropStage(tile.crop.type, growth) };
+        if (crop.withered) return { ...tile, crop };
+        return { ...tile, crop, type: isCropRipe(crop) ? TILE_TYPE.CROP_GROWN : TILE_TYPE.CROP_PLANTED };
+    }));
+};
+
+// Checks a save that is already at SAVE_SCHEMA_VERSION and returns ready-to-use game state
+export const validateSaveData = (data) => {
+    if (!data.player || typeof data.player !== 'object') {
+        throw createSaveDataError("Player data is missing.");
+    }
+
+    const world = validateSavedWorld(data.world);
+    const day = Number.isInteger(data.day) && data.day >= 1 ? data.day : 1;
+    const rectList = (list) => (Array.isArray(list) ? list.filter(item => item && typeof item.x === 'number' && typeof item.y === 'number') : []);
+
+    return {
+        player: fillDefaults(INITIAL_PLAYER_STATE, data.player),
+        tractor: fillDefaults(INITIAL_TRACTOR_STATE, data.tractor),
+        plow: fillDefaults(INITIAL_PLOW_STATE, data.plow),
+        seeder: fillDefaults(INITIAL_SEEDER_STATE, data.seeder),
+        spreader: fillDefaults(INITIAL_SPREADER_STATE, data.spreader),
+        sprayer: fillDefaults(INITIAL_SPRAYER_STATE, data.sprayer),
+        combineHarvester: fillDefaults(INITIAL_COMBINE_HARVESTER_STATE, data.combineHarvester),
+        world,
+        trees: rectList(data.trees),
+        barns: rectList(data.barns),
+        silos: rectList(data.silos),
+        wells: Array.isArray(data.wells) ? rectList(data.wells) : [createWell(world)], // Saves from before wells get the farmyard one
+        sprinklers: rectList(data.sprinklers),
+        parcels: validateParcels(data.parcels, world),
+        gameTime: typeof data.gameTime === 'number' && data.gameTime >= 0 && data.gameTime < 24 ? data.gameTime : 12,
+        day,
+        weather: isValidWeatherSpell(data.weather) ? { type: data.weather.type, hours: data.weather.hours } : DEFAULT_WEATHER,
+        weatherForecast: Array.isArray(data.weatherForecast)
+            ? data.weatherForecast.filter(isValidWeatherSpell).slice(0, WEATHER_FORECAST_LENGTH).map(spell => ({ type: spell.type, hours: spell.hours }))
+            : [],
+        market: validateMarket(data.market, day),
+        contracts: validateContracts(data.contracts),
+        ledger: validateLedger(data.ledger), // Saves from before the ledger start with an empty one
+        bank: validateBank(data.bank),
+        selectedCropType: CROP_DEFINITIONS[data.selectedCropType] ? data.selectedCropType : CROP_TYPE.WHEAT,
+        seed: isValidRngState(data.seed) ? data.seed : null, // Unknown for saves made before seeds existed
+        rngState: isValidRngState(data.rngState) ? data.rngState : createWorldSeed(),
+        savedAt: typeof data.savedAt === 'number' ? data.savedAt : null,
+    };
+};
+
+// Turns raw save data of any supported version into validated game state
+export const deserializeGameState = (data) => {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw createSaveDataError("Save data is not an object.");
+    }
+    return validateSaveData(migrateSaveData(data));
+};
+
+// Builds the persistent save document from the current game state
+export const serializeGameState = (state) => ({
+    schemaVersion: SAVE_SCHEMA_VERSION,
+    savedAt: Date.now(), // Real time, used to catch up on growth when the save is loaded
+    player: { ...state.player, inventory: { ...state.player.inventory } },
+    tractor: { ...state.tractor, equipment: state.tractor.equipment ? { type: state.tractor.equipment.type } : null },
+    plow: { ...state.plow },
+    seeder: { ...state.seeder },
+    spreader: { ...state.spreader },
+    sprayer: { ...state.sprayer },
+    combineHarvester: { ...state.combineHarvester },
+    world: JSON.stringify(state.world), // Firestore can't store nested arrays, so the grid is kept as a string
+    trees: [...state.trees],
+    barns: [...state.barns],
+    silos: [...state.silos],
+    wells: [...state.wells],
+    sprinklers: [...state.sprinklers],
+    parcels: state.parcels.map(parcel => ({ ...parcel })),
+    gameTime: state.gameTime,
+    day: state.day,
+    weather: { ...state.weather },
+    weatherForecast: state.weatherForecast.map(spell => ({ ...spell })),
+    market: state.market,
+    contracts: state.contracts,
+    ledger: state.ledger,
+    bank: state.bank,
+    selectedCropType: state.selectedCropType,
+    seed: state.seed,
+    rngState: state.rngState,
+});
+
+// --- Player Settings ---
+// Preferences live in localStorage on every backend, since they belong to this browser rather than to a farm
+export const GAME_SETTINGS_STORAGE_KEY = `${LOCAL_STORAGE_KEY_PREFIX}:settings`;
+
+export const DEFAULT_GAME_SETTINGS = {
+    autosaveIntervalMinutes: 5,
+    offlineGrowthPolicy: OFFLINE_GROWTH_POLICY.CAPPED,
+};
+
+export const loadGameSettings = () => {
+    try {
+        return fillDefaults(DEFAULT_GAME_SETTINGS, JSON.parse(window.localStorage.getItem(GAME_SETTINGS_STORAGE_KEY) || '{}'));
+    } catch (error) {
+        console.warn("Could not read settings, using defaults:", error);
+        return DEFAULT_GAME_SETTINGS;
+    }
+};
+
+export const storeGameSettings = (settings) => {
+    try {
+        window.localStorage.setItem(GAME_SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.warn("Could not store settings:", error);
+    }
+};
+
+// --- Seeded Random Numbers ---
+// All gameplay randomness comes from a mulberry32 generator whose 32-bit state is stored alongside the game state,
+// so the same seed (and the same input) always produces the same world and events.
+export const createWorldSeed = () => Math.floor(Math.random() * 0x100000000) >>> 0;
+
+// Accepts a number typed by the player, or hashes any other text (FNV-1a) so words work as seeds too
+export const parseWorldSeed = (text) => {
+    const trimmed = String(text).trim();
+    if (trimmed === '') return null;
+    if (/^\d+$/.test(trimmed) && Number(trimmed) < 0x100000000) return Number(trimmed);
+
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < trimmed.length; i++) {
+        hash = Math.imul(hash ^ trimmed.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+export const isValidRngState = (value) => Number.isInteger(value) && value >= 0 && value < 0x100000000;
+
+// Returns a float in [0, 1) and advances holder.rngState. Callers pass an object they own
+// (e.g. the state copy made by step()), never one that is shared with React.
+export const nextRandom = (holder) => {
+    const state = (holder.rngState + 0x6D2B79F5) >>> 0;
+    holder.rngState = state;
+
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+};
+
+// --- Calendar & Seasons ---
+// sim.day counts up from 1. Every DAYS_PER_SEASON days the season changes, and four seasons make a year.
+export const DAYS_PER_SEASON = 7;
+export const SEASON_ORDER = [SEASON.SPRING, SEASON.SUMMER, SEASON.AUTUMN, SEASON.WINTER];
+
+// Sunrise and sunset in in-game hours. Spring keeps the 06:00-18:00 sun the sky colors were designed around.
+export const SEASON_DAYLIGHT = {
+    [SEASON.SPRING]: { sunrise: 6, sunset: 18 },
+    [SEASON.SUMMER]: { sunrise: 5, sunset: 20 },
+    [SEASON.AUTUMN]: { sunrise: 7, sunset: 17 },
+    [SEASON.WINTER]: { sunrise: 8, sunset: 16 },
+};
+
+// Sky colors are blended towards these
+export const SEASON_SKY_TINTS = {
+    [SEASON.SPRING]: null,
+    [SEASON.SUMMER]: { color: '#3C8DDE', amount: 0.15 },
+    [SEASON.AUTUMN]: { color: '#D8A47F', amount: 0.15 },
+    [SEASON.WINTER]: { color: '#C8D6E5', amount: 0.3 },
+};
+
+export const getCalendarDate = (day) => {
+    const dayIndex = Math.max(0, day - 1);
+    return {
+        year: Math.floor(dayIndex / (DAYS_PER_SEASON * SEASON_ORDER.length)) + 1,
+        season: SEASON_ORDER[Math.floor(dayIndex / DAYS_PER_SEASON) % SEASON_ORDER.length],
+        dayOfSeason: dayIndex % DAYS_PER_SEASON + 1,
+    };
+};
+
+export const formatCalendarDate = (day) => {
+    const { year, season, dayOfSeason } = getCalendarDate(day);
+    return `${season.charAt(0).toUpperCase() + season.slice(1)} ${dayOfSeason}, Year ${year}`;
+};
+
+// Clock time in in-game hours as HH:MM
+export const formatClockTime = (time) => (
+    `${String(Math.floor(time)).padStart(2, '0')}:${String(Math.floor(time % 1 * 60)).padStart(2, '0')}`
 );
 
-export const SeedIcon = ({ size = 16, color = '#8B4513' }) => (
-    <svg width={size} height={size} viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-        <path d="M12 2L10 6L12 10L14 6L12 2Z" fill={color} stroke="#5C4033" strokeWidth="1"/>
-        <path d="M12 10L10 14L12 18L14 14L12 10Z" fill={color} stroke="#5C4033" strokeWidth="1"/>
-        <path d="M12 18L10 22L12 24L14 22L12 18Z" fill={color} stroke="#5C4033" strokeWidth="1"/>
-    </svg>
+export const isCropInSeason = (cropType, season) => CROP_DEFINITIONS[cropType].seasons.includes(season);
+
+// Maps clock time to solar time, in which the sun always rises at 06:00 and sets at 18:00,
+// by stretching or squeezing the season's daylight and night
+export const toSolarTime = (time, season = SEASON.SPRING) => {
+    const { sunrise, sunset } = SEASON_DAYLIGHT[season];
+    if (time < sunrise) return time / sunrise * 6;
+    if (time < sunset) return 6 + (time - sunrise) / (sunset - sunrise) * 12;
+    return 18 + (time - sunset) / (24 - sunset) * 6;
+};
+
+// --- Weather ---
+// Weather comes in spells of { type, hours }. sim.weather is the current spell (hours = in-game hours left) and
+// sim.weatherForecast the spells queued after it. Each next spell is drawn from the types the previous one can turn
+// into (WEATHER_TRANSITIONS), weighted by how common that weather is in the season it starts in.
+export const WEATHER_FORECAST_LENGTH = 3;
+
+export const WEATHER_TRANSITIONS = {
+    [WEATHER.CLEAR]: [WEATHER.CLEAR, WEATHER.CLOUDY, WEATHER.DROUGHT, WEATHER.FROST],
+    [WEATHER.CLOUDY]: [WEATHER.CLEAR, WEATHER.CLOUDY, WEATHER.RAIN, WEATHER.THUNDERSTORM, WEATHER.FROST],
+    [WEATHER.RAIN]: [WEATHER.CLEAR, WEATHER.CLOUDY, WEATHER.RAIN, WEATHER.THUNDERSTORM],
+    [WEATHER.THUNDERSTORM]: [WEATHER.CLOUDY, WEATHER.RAIN],
+    [WEATHER.DROUGHT]: [WEATHER.CLEAR, WEATHER.CLOUDY, WEATHER.DROUGHT],
+    [WEATHER.FROST]: [WEATHER.CLEAR, WEATHER.CLOUDY, WEATHER.FROST],
+};
+
+// Every season gives CLEAR and CLOUDY some weight, so each transition always has a possible outcome
+export const SEASON_WEATHER_WEIGHTS = {
+    [SEASON.SPRING]: { clear: 4, cloudy: 3, rain: 3, thunderstorm: 1, drought: 0, frost: 1 },
+    [SEASON.SUMMER]: { clear: 5, cloudy: 2, rain: 1, thunderstorm: 2, drought: 2, frost: 0 },
+    [SEASON.AUTUMN]: { clear: 3, cloudy: 4, rain: 3, thunderstorm: 1, drought: 0, frost: 1 },
+    [SEASON.WINTER]: { clear: 3, cloudy: 4, rain: 1, thunderstorm: 0, drought: 0, frost: 4 },
+};
+
+export const WEATHER_DURATION_HOURS = {
+    [WEATHER.CLEAR]: { min: 3, max: 8 },
+    [WEATHER.CLOUDY]: { min: 2, max: 6 },
+    [WEATHER.RAIN]: { min: 1, max: 4 },
+    [WEATHER.THUNDERSTORM]: { min: 0.5, max: 2 },
+    [WEATHER.DROUGHT]: { min: 6, max: 12 },
+    [WEATHER.FROST]: { min: 2, max: 5 },
+};
+
+// Gameplay effects, per in-game hour, on the exposed (top) soil tile of each column
+export const RAIN_MOISTURE_PER_HOUR = { [WEATHER.RAIN]: 0.4, [WEATHER.THUNDERSTORM]: 0.7 };
+export const RAIN_MAX_MOISTURE = 0.85;
+export const DROUGHT_DRYING_PER_HOUR = 0.3;
+export const STORM_FLATTENS_PER_HOUR = 3; // Average gusts per hour that each flatten one column of mature lodging crops
+export const FLATTENED_YIELD_FACTOR = 0.5;
+export const FROST_KILLS_PER_HOUR = 0.15; // Chance per hour that frost kills each young plant (two or more stages short of ripe)
+
+export const DEFAULT_WEATHER = { type: WEATHER.CLEAR, hours: 4 };
+
+export const isValidWeatherSpell = (spell) => (
+    !!spell && Object.values(WEATHER).includes(spell.type) && typeof spell.hours === 'number' && spell.hours > 0
 );
 
-export const CropSeedIcon = ({ cropType, size = 16 }) => {
-    switch (cropType) {
-        case 'wheat': return <SeedIcon size={size} color="#A0522D" />;
-        case 'corn': return <SeedIcon size={size} color="#8B4513" />;
-        case 'potato': return <SeedIcon size={size} color="#6F4E37" />;
-        default: return null;
-    }
+// Draws the spell that follows one of type `previousType`. Random numbers come from (and advance) rng.rngState.
+export const createNextWeatherSpell = (rng, previousType, season) => {
+    const weights = SEASON_WEATHER_WEIGHTS[season];
+    const candidates = WEATHER_TRANSITIONS[previousType].filter(type => weights[type] > 0);
+    const totalWeight = candidates.reduce((sum, type) => sum + weights[type], 0);
+
+    let roll = nextRandom(rng) * totalWeight;
+    const type = candidates.find(candidate => (roll -= weights[candidate]) < 0) || candidates[candidates.length - 1];
+    const { min, max } = WEATHER_DURATION_HOURS[type];
+    return { type, hours: Math.round((min + nextRandom(rng) * (max - min)) * 10) / 10 };
 };
 
-export const CropIcon = ({ cropType, size = 16 }) => {
-    switch (cropType) {
-        case 'wheat': return <WheatIcon size={size} />;
-        case 'corn': return <CornIcon size={size} />;
-        case 'potato': return <PotatoIcon size={size} />;
-        default: return null;
+// --- Soil ---
+// Ground tiles carry soil: { fertility, moisture, ph }. Fertility (0-1) drops with every harvest and is restored with
+// fertilizer; moisture (0-1) and pH are best in the middle of their ranges. All three scale growth speed and yield.
+export const SOIL_TILE_TYPES = [TILE_TYPE.GRASS, TILE_TYPE.DIRT, TILE_TYPE.TILLED, TILE_TYPE.CROP_PLANTED, TILE_TYPE.CROP_GROWN];
+export const DEFAULT_SOIL = { fertility: 0.5, moisture: 0.5, ph: 6.5 }; // Average soil: crops grow at normal speed
+export const SOIL_PH_MIN = 4;
+export const SOIL_PH_MAX = 9;
+export const IDEAL_SOIL_PH = 6.5;
+export const IDEAL_SOIL_MOISTURE = { min: 0.4, max: 0.75 };
+export const FERTILITY_USED_PER_HARVEST = 0.08;
+export const FERTILIZER_FERTILITY_BOOST = 0.3; // Per unit of fertilizer spread on a tile
+
+// Watering
+export const CROP_WATER_USE_PER_HOUR = 0.6; // A crop drinks about 0.2 moisture from planting to harvest
+export const CROP_STALL_MOISTURE = 0.15; // Crops stop growing on drier soil...
+export const CROP_WITHER_HOURS = 0.5; // ...and wither after this many in-game hours of it
+export const STRESS_YIELD_LOSS_PER_HOUR = 0.8; // Share of the yield lost per in-game hour a crop spends stalled by dryness
+export const MIN_STRESS_YIELD_FACTOR = 0.4;
+export const WATERING_CAN_MOISTURE = 0.35; // Moisture added by one can of water
+export const SPRINKLER_RANGE_TILES = 2;
+export const SPRINKLER_MOISTURE = 0.6;
+export const WATER_REFILL_RANGE_TILES = 3; // How close to a well or pond the tank can be refilled
+
+// Tiles ("x,y") a list of sprinklers keeps watered: the soil around the tile each one stands on
+export const getIrrigatedTiles = (sprinklers) => {
+    const tiles = new Set();
+    for (const sprinkler of sprinklers) {
+        const centerX = Math.floor((sprinkler.x + sprinkler.width / 2) / TILE_SIZE);
+        const centerY = Math.floor((sprinkler.y + sprinkler.height) / TILE_SIZE);
+        for (let dy = -SPRINKLER_RANGE_TILES; dy <= SPRINKLER_RANGE_TILES; dy++) {
+            for (let dx = -SPRINKLER_RANGE_TILES; dx <= SPRINKLER_RANGE_TILES; dx++) {
+                tiles.add(`${centerX + dx},${centerY + dy}`);
+            }
+        }
     }
+    return tiles;
 };
 
+export const clampSoil = (soil) => ({
+    fertility: Math.min(1, Math.max(0, soil.fertility)),
+    moisture: Math.min(1, Math.max(0, soil.moisture)),
+    ph: Math.min(SOIL_PH_MAX, Math.max(SOIL_PH_MIN, soil.ph)),
+});
+
+// 0.5 when bone dry, 1 in the ideal band, down to 0.7 when waterlogged
+const getMoistureFactor = (moisture) => {
+    if (moisture < IDEAL_SOIL_MOISTURE.min) return 0.5 + 0.5 * moisture / IDEAL_SOIL_MOISTURE.min;
+    if (moisture > IDEAL_SOIL_MOISTURE.max) return 1 - 0.3 * (moisture - IDEAL_SOIL_MOISTURE.max) / (1 - IDEAL_SOIL_MOISTURE.max);
+    return 1;
+};
 
-// --- Game Context (previously in context/GameContext.js) ---
-const GameContext = createContext();
+const getPhFactor = (ph) => Math.max(0.5, 1 - Math.abs(ph - IDEAL_SOIL_PH) * 0.25);
 
-export const GameProvider = ({ children }) => {
-    const animationFrameId = useRef(null);
-    const lastFlyingObjectTimeRef = useRef(0);
+// Multiplier on crop growth speed: 1 on DEFAULT_SOIL, up to 1.4 on fertile, moist, neutral ground
+export const getSoilGrowthFactor = (soil = DEFAULT_SOIL) => (
+    (0.6 + soil.fertility * 0.8) * getMoistureFactor(soil.moisture) * getPhFactor(soil.ph)
+);
 
-    // Firebase state
-    const [db, setDb] = useState(null);
-    const [auth, setAuth] = useState(null);
-    const [userId, setUserId] = useState(null);
-    const [isAuthReady, setIsAuthReady] = useState(false);
+// Expected crop units from harvesting one tile: 1 on DEFAULT_SOIL, up to 1.5 on the best ground
+export const getSoilYield = (soil = DEFAULT_SOIL) => (
+    (0.5 + soil.fertility) * getMoistureFactor(soil.moisture) * getPhFactor(soil.ph)
+);
 
-    // Image assets
-    const tractorImageRef = useRef(new Image());
-    const [tractorImageLoaded, setTractorImageLoaded] = useState(false);
+export const describeSoil = (soil = DEFAULT_SOIL) => {
+    const fertility = soil.fertility < 0.35 ? 'poor' : soil.fertility > 0.65 ? 'rich' : 'average';
+    const moisture = soil.moisture < IDEAL_SOIL_MOISTURE.min ? 'dry' : soil.moisture > IDEAL_SOIL_MOISTURE.max ? 'waterlogged' : 'moist';
+    return `${fertility}, ${moisture}, pH ${soil.ph.toFixed(1)}`;
+};
 
-    // --- Game State ---
-    const [player, setPlayer] = useState({
-        x: WORLD_WIDTH_PIXELS / 4, y: TILE_SIZE * 14,
-        width: TILE_SIZE * 0.9, height: TILE_SIZE * 1.8,
-        speed: 3, jumpPower: 10,
-        vx: 0, vy: 0, onGround: false,
-        isInVehicle: false, facing: 'right',
-        inventory: { wheatSeeds: 50, cornSeeds: 20, potatoSeeds: 20, wheat: 0, corn: 0, potato: 0 },
-        money: 100,
-        maxStorage: 100, // Initial max storage for crops
-        siloBuilt: false,
-    });
+// --- Weeds, Pests & Disease ---
+// Weeds (tile.weeds) sprout on untended ground and creep into neighbouring columns, crowding out crops until they are
+// hoed, tilled or plowed under; frost kills them off. Pests (crop.pests) eat into the yield until the crop is sprayed
+// with pesticide, which also keeps new pests off it. Disease (crop.diseased) spreads to neighbouring crops of the same
+// type and kills a plant within DISEASE_WITHER_HOURS. Tiles remember the last crop taken from them (tile.lastCrop):
+// rotating to a different crop keeps disease away, replanting the same one invites it. Weeds keep to owned parcels.
+export const WEED_SPROUTS_PER_HOUR = 1; // Average new weed patches per in-game hour across the whole world
+export const WEED_SPREAD_PER_HOUR = 0.4; // Per weedy tile
+export const WEED_CROP_SPREAD_CHANCE = 0.1; // Chance that weeds creeping towards a live crop take hold there
+export const WEED_GROWTH_FACTOR = 0.6;
+export const WEED_YIELD_FACTOR = 0.75;
+export const PEST_OUTBREAKS_PER_HOUR = {
+    [SEASON.SPRING]: 2,
+    [SEASON.SUMMER]: 4,
+    [SEASON.AUTUMN]: 2,
+    [SEASON.WINTER]: 0,
+};
+export const PEST_SPREAD_PER_HOUR = 2; // Per infested crop
+export const PEST_YIELD_FACTOR = 0.6;
+export const DISEASE_OUTBREAKS_PER_HOUR = 2; // Doubled in wet weather
+export const DISEASE_SPREAD_PER_HOUR = 3; // Per diseased crop
+export const DISEASE_YIELD_FACTOR = 0.5;
+export const DISEASE_WITHER_HOURS = 0.5;
+// Chance that a crop exposed to disease catches it, by what was harvested from its tile before
+export const DISEASE_RISK = {
+    rotated: 0.2,
+    fresh: 0.5,
+    repeated: 1,
+};
 
-    const [tractor, setTractor] = useState({
-        x: WORLD_WIDTH_PIXELS / 4 + 100, y: TILE_SIZE * 14,
-        width: TILE_SIZE * 4, // Adjusted width for the image
-        height: TILE_SIZE * 2.5, // Adjusted height for the image
-        speed: VEHICLE_UPGRADE_TIERS.tractor[0].speed, // Use base speed from tiers
-        jumpPower: 10, // Not applicable, but keeping structure
-        vx: 0, vy: 0, onGround: false,
-        equipment: null, isInVehicle: false, type: 'tractor', facing: 'right',
-        fuel: VEHICLE_UPGRADE_TIERS.tractor[0].maxFuel, // Use base maxFuel
-        maxFuel: VEHICLE_UPGRADE_TIERS.tractor[0].maxFuel, // Use base maxFuel
-        fuelConsumption: 0.05,
-        upgradeLevel: 0, // Current upgrade level
-    });
+export const getDiseaseRisk = (tile) => {
+    if (!tile.lastCrop) return DISEASE_RISK.fresh;
+    return tile.lastCrop === tile.crop.type ? DISEASE_RISK.repeated : DISEASE_RISK.rotated;
+};
 
-    const [plow, setPlow] = useState({
-        x: 0, y: 0, // Initialized with dummy values, will be set in generateWorld
-        width: TILE_SIZE * 3, height: TILE_SIZE * 1.5,
-        vx: 0, vy: 0, onGround: false, isHitched: false, type: 'plow'
-    });
+// Yield multiplier for the weeds, pests and disease on a crop's tile
+export const getThreatYieldFactor = (tile) => (
+    (tile.weeds ? WEED_YIELD_FACTOR : 1) *
+    (tile.crop.pests ? PEST_YIELD_FACTOR : 1) *
+    (tile.crop.diseased ? DISEASE_YIELD_FACTOR : 1)
+);
 
-    const [seeder, setSeeder] = useState({
-        x: 0, y: 0, // Initialized with dummy values, will be set in generateWorld
-        width: TILE_SIZE * 3.5, height: TILE_SIZE * 1.8,
-        vx: 0, vy: 0, onGround: false, isHitched: false, type: 'seeder'
-    });
+export const describeThreats = (tile) => [
+    tile.weeds && 'weeds',
+    tile.crop?.pests && 'pests',
+    tile.crop?.diseased && 'diseased',
+].filter(Boolean);
+
+// --- Market ---
+// Every crop has a market price: its registry price scaled by a trend that drifts each morning and pushed down by
+// saturation, which builds up as the farm sells that crop and wears off over the following hours.
+//   market = { day, crops: { [cropType]: { trend, saturation, history } } }
+// history holds the opening price of each of the last MARKET_HISTORY_DAYS days, oldest first, ending with market.day.
+export const MARKET_HISTORY_DAYS = 14;
+export const MARKET_DAILY_VOLATILITY = 0.12; // Largest random move of the trend in one day
+export const MARKET_MEAN_REVERSION = 0.2; // Share of the gap to a normal (1) trend closed each day
+export const MARKET_TREND_RANGE = { min: 0.5, max: 1.6 };
+export const MARKET_SATURATION_PER_UNIT = 0.004; // Selling 100 units knocks 40% off the price...
+export const MAX_MARKET_SATURATION = 0.6;
+export const MARKET_RECOVERY_PER_HOUR = 0.03; // ...which takes most of a day to recover
+
+const getCropPrice = (cropType, { trend, saturation }) => CROP_DEFINITIONS[cropType].price * trend * (1 - saturation);
+
+export const createMarket = (day = 1) => ({
+    day,
+    crops: Object.fromEntries(Object.keys(CROP_DEFINITIONS).map(cropType => (
+        [cropType, { trend: 1, saturation: 0, history: [CROP_DEFINITIONS[cropType].price] }]
+    ))),
+});
+
+// Price of one unit of standard (silver) quality right now
+export const getMarketPrice = (market, cropType) => getCropPrice(cropType, market.crops[cropType]);
+
+export const getGradePrice = (market, cropType, grade) => getMarketPrice(market, cropType) * QUALITY_PRICE_MULTIPLIERS[grade];
+
+// Change of the current price against yesterday's opening price, as a fraction (0.1 = 10% up)
+export const getPriceChange = (market, cropType) => {
+    const { history } = market.crops[cropType];
+    const reference = history.length > 1 ? history[history.length - 2] : history[0];
+    return reference ? getMarketPrice(market, cropType) / reference - 1 : 0;
+};
 
-    const [combineHarvester, setCombineHarvester] = useState({
-        x: WORLD_WIDTH_PIXELS / 2 + 200, y: TILE_SIZE * 14,
-        width: TILE_SIZE * 5, height: TILE_SIZE * 3,
-        speed: VEHICLE_UPGRADE_TIERS.combineHarvester[0].speed, // Use base speed from tiers
-        jumpPower: 10, // Not applicable
-        vx: 0, vy: 0, onGround: false,
-        isHitched: false, isInVehicle: false, type: 'combine harvester', facing: 'right',
-        fuel: VEHICLE_UPGRADE_TIERS.combineHarvester[0].maxFuel, // Use base maxFuel
-        maxFuel: VEHICLE_UPGRADE_TIERS.combineHarvester[0].maxFuel, // Use base maxFuel
-        fuelConsumption: 0.07,
-        upgradeLevel: 0, // Current upgrade level
-    });
+// What selling some units of a crop ({ [grade]: count }) would pay. Each unit sold pushes the price down a little
+// further, best grades first. Returns the takings and the market after the sale.
+export const quoteSale = (market, cropType, counts) => {
+    const entry = market.crops[cropType];
+    let { saturation } = entry;
+    let value = 0;
+    for (const grade of [...QUALITY_GRADES].reverse()) {
+        for (let i = 0; i < (counts[grade] || 0); i++) {
+            value += getCropPrice(cropType, { ...entry, saturation }) * QUALITY_PRICE_MULTIPLIERS[grade];
+            saturation = Math.min(MAX_MARKET_SATURATION, saturation + MARKET_SATURATION_PER_UNIT);
+        }
+    }
+    return {
+        value: Math.round(value * 100) / 100,
+        market: { ...market, crops: { ...market.crops, [cropType]: { ...entry, saturation } } },
+    };
+};
+
+// Moves every trend one day along its random walk and records the new opening prices
+export const driftMarket = (market, rng) => ({
+    day: market.day + 1,
+    crops: Object.fromEntries(Object.entries(market.crops).map(([cropType, entry]) => {
+        const drift = (1 - entry.trend) * MARKET_MEAN_REVERSION + (nextRandom(rng) * 2 - 1) * MARKET_DAILY_VOLATILITY;
+        const trend = Math.min(MARKET_TREND_RANGE.max, Math.max(MARKET_TREND_RANGE.min, entry.trend + drift));
+        const price = Math.round(getCropPrice(cropType, { ...entry, trend }) * 100) / 100;
+        return [cropType, { ...entry, trend, history: [...entry.history, price].slice(-MARKET_HISTORY_DAYS) }];
+    })),
+});
+
+// Checks a saved market, falling back to a fresh one and filling in crops added since the save
+export const validateMarket = (market, day) => {
+    const fresh = createMarket(day);
+    if (!market || typeof market !== 'object' || !Number.isInteger(market.day) || !market.crops) return fresh;
+
+    const isPrice = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+    return {
+        day: Math.min(market.day, day),
+        crops: Object.fromEntries(Object.keys(CROP_DEFINITIONS).map(cropType => {
+            const entry = market.crops[cropType];
+            if (!entry || !isPrice(entry.trend) || !isPrice(entry.saturation)) return [cropType, fresh.crops[cropType]];
+            const history = Array.isArray(entry.history) ? entry.history.filter(isPrice).slice(-MARKET_HISTORY_DAYS) : [];
+            return [cropType, {
+                trend: Math.min(MARKET_TREND_RANGE.max, Math.max(MARKET_TREND_RANGE.min, entry.trend)),
+                saturation: Math.min(MAX_MARKET_SATURATION, entry.saturation),
+                history: history.length > 0 ? history : fresh.crops[cropType].history,
+            }];
+        })),
+    };
+};
+
+// --- Contracts ---
+// NPC buyers post delivery orders on a contracts board each morning. An accepted contract is filled by delivering
+// produce of at least the buyer's grade, in as many loads as needed, by the end of its deadline day. Finished
+// contracts pay a premium over list prices and build reputation with the buyer; missed ones cost a penalty and
+// reputation. Buyers pay more the more they trust the farm, and stop offering work below MIN_CONTRACT_REPUTATION.
+// A penalty never takes more than the cash the player has; the buyer keeps back the rest (owed) from its next reward.
+// Reputation below STARTING_REPUTATION recovers a little each day, so a buyer that stopped offering work comes back.
+//   contracts = { day, nextId, offers, active, reputation: { [buyerId]: 0-100 }, owed: { [buyerId]: dollars } }
+//   contract  = { id, buyerId, cropType, quantity, delivered, reward, penalty, deadlineDay }
+export const CONTRACT_BUYERS = {
+    mill: { name: 'Riverside Mill', crops: [CROP_TYPE.WHEAT, CROP_TYPE.CORN], minGrade: QUALITY_GRADE.BRONZE, premium: 1.3 },
+    grocer: { name: 'Corner Grocer', crops: [CROP_TYPE.POTATO, CROP_TYPE.TOMATO], minGrade: QUALITY_GRADE.SILVER, premium: 1.5 },
+    coop: { name: 'Valley Co-op', crops: null, minGrade: QUALITY_GRADE.BRONZE, premium: 1.2 }, // Takes any crop
+};
+export const CONTRACT_BOARD_SIZE = 3;
+export const MAX_ACTIVE_CONTRACTS = 3;
+export const CONTRACT_QUANTITY_RANGE = { min: 2, max: 8 }; // In loads of 10 units
+export const CONTRACT_DAYS_RANGE = { min: 2, max: 5 }; // Days from the offer to the deadline
+export const CONTRACT_PENALTY_SHARE = 0.25; // Share of the reward charged for a missed deadline
+export const STARTING_REPUTATION = 50;
+export const REPUTATION_FOR_COMPLETING = 10;
+export const REPUTATION_FOR_FAILING = 15;
+export const MIN_CONTRACT_REPUTATION = 20;
+export const REPUTATION_RECOVERY_PER_DAY = 2;
+
+export const createContracts = () => ({
+    day: 0, // Day the board was last refreshed; the first step fills it
+    nextId: 1,
+    offers: [],
+    active: [],
+    reputation: Object.fromEntries(Object.keys(CONTRACT_BUYERS).map(buyerId => [buyerId, STARTING_REPUTATION])),
+    owed: Object.fromEntries(Object.keys(CONTRACT_BUYERS).map(buyerId => [buyerId, 0])),
+});
+
+// Reward multiplier over list prices: the buyer's premium, scaled from 0.8x (no reputation) to 1.2x (full reputation)
+export const getContractPremium = (buyerId, reputation) => CONTRACT_BUYERS[buyerId].premium * (0.8 + reputation / 250);
+
+// Draws a new offer from one of the buyers that still trust the farm, or returns null if none does
+export const createContractOffer = (contracts, day, rng) => {
+    const buyerIds = Object.keys(CONTRACT_BUYERS).filter(buyerId => contracts.reputation[buyerId] >= MIN_CONTRACT_REPUTATION);
+    if (buyerIds.length === 0) return null;
+
+    const buyerId = buyerIds[Math.floor(nextRandom(rng) * buyerIds.length)];
+    const crops = CONTRACT_BUYERS[buyerId].crops || Object.keys(CROP_DEFINITIONS);
+    const cropType = crops[Math.floor(nextRandom(rng) * crops.length)];
+    const loads = CONTRACT_QUANTITY_RANGE.min + Math.floor(nextRandom(rng) * (CONTRACT_QUANTITY_RANGE.max - CONTRACT_QUANTITY_RANGE.min + 1));
+    const days = CONTRACT_DAYS_RANGE.min + Math.floor(nextRandom(rng) * (CONTRACT_DAYS_RANGE.max - CONTRACT_DAYS_RANGE.min + 1));
+    const quantity = loads * 10;
+    const reward = Math.round(quantity * CROP_DEFINITIONS[cropType].price * getContractPremium(buyerId, contracts.reputation[buyerId]));
+    return {
+        id: contracts.nextId,
+        buyerId,
+        cropType,
+        quantity,
+        delivered: 0,
+        reward,
+        penalty: Math.round(reward * CONTRACT_PENALTY_SHARE),
+        deadlineDay: day + days,
+    };
+};
+
+export const describeContract = (contract) => (
+    `Deliver ${contract.quantity} ${contract.cropType} by day ${contract.deadlineDay} for $${contract.reward}`
+);
+
+// Units of each grade that would go towards a contract, using up the lowest accepted grades first
+export const getDeliverableCounts = (inventory, contract) => {
+    const minGradeIndex = QUALITY_GRADES.indexOf(CONTRACT_BUYERS[contract.buyerId].minGrade);
+    let remaining = contract.quantity - contract.delivered;
+    const counts = {};
+    for (const grade of QUALITY_GRADES.slice(minGradeIndex)) {
+        counts[grade] = Math.min(remaining, inventory[contract.cropType]?.[grade] || 0);
+        remaining -= counts[grade];
+    }
+    return counts;
+};
+
+// Checks saved contracts, dropping any that refer to buyers or crops that no longer exist
+export const validateContracts = (contracts) => {
+    const fresh = createContracts();
+    if (!contracts || typeof contracts !== 'object') return fresh;
+
+    const isCount = (value) => Number.isInteger(value) && value >= 0;
+    const isContract = (contract) => contract && CONTRACT_BUYERS[contract.buyerId] && CROP_DEFINITIONS[contract.cropType] &&
+        isCount(contract.id) && isCount(contract.quantity) && isCount(contract.delivered) && isCount(contract.deadlineDay) &&
+        typeof contract.reward === 'number' && typeof contract.penalty === 'number';
+    const contractList = (list) => (Array.isArray(list) ? list.filter(isContract).map(contract => ({ ...contract })) : []);
+    const reputation = contracts.reputation || {};
+    const owed = contracts.owed || {};
+
+    return {
+        day: isCount(contracts.day) ? contracts.day : fresh.day,
+        nextId: isCount(contracts.nextId) ? contracts.nextId : fresh.nextId,
+        offers: contractList(contracts.offers),
+        active: contractList(contracts.active).slice(0, MAX_ACTIVE_CONTRACTS),
+        reputation: Object.fromEntries(Object.keys(CONTRACT_BUYERS).map(buyerId => [
+            buyerId,
+            typeof reputation[buyerId] === 'number' ? Math.min(100, Math.max(0, reputation[buyerId])) : STARTING_REPUTATION,
+        ])),
+        owed: Object.fromEntries(Object.keys(CONTRACT_BUYERS).map(buyerId => [
+            buyerId,
+            Number.isFinite(owed[buyerId]) ? Math.max(0, owed[buyerId]) : 0,
+        ])),
+    };
+};
+
+// --- Finances ---
+// Every payment to or from the player is recorded in sim.ledger, oldest first. Income has a positive amount and
+// expenses a negative one. Entries tied to a crop (its seeds, sales and contracts) carry its cropType, which is what
+// the per-crop profit report adds up. Borrowed and repaid loan principal is listed but isn't income or an expense.
+//   entry = { day, time, category, item, amount, cropType }
+export const LEDGER_CATEGORY = {
+    CROP_SALES: 'cropSales',
+    CONTRACTS: 'contracts',
+    SEEDS: 'seeds',
+    SUPPLIES: 'supplies',
+    BUILDINGS: 'buildings',
+    UPGRADES: 'upgrades',
+    PENALTIES: 'penalties',
+    LAND: 'land',
+    LOANS: 'loans',
+    INTEREST: 'interest',
+};
+export const LEDGER_CATEGORY_LABELS = {
+    [LEDGER_CATEGORY.CROP_SALES]: 'Crop Sales',
+    [LEDGER_CATEGORY.CONTRACTS]: 'Contracts',
+    [LEDGER_CATEGORY.SEEDS]: 'Seeds',
+    [LEDGER_CATEGORY.SUPPLIES]: 'Supplies',
+    [LEDGER_CATEGORY.BUILDINGS]: 'Buildings',
+    [LEDGER_CATEGORY.UPGRADES]: 'Upgrades',
+    [LEDGER_CATEGORY.PENALTIES]: 'Penalties',
+    [LEDGER_CATEGORY.LAND]: 'Land',
+    [LEDGER_CATEGORY.LOANS]: 'Loans',
+    [LEDGER_CATEGORY.INTEREST]: 'Interest',
+};
+const LEDGER_FINANCING_CATEGORIES = [LEDGER_CATEGORY.LOANS];
+export const LEDGER_PERIOD = { DAY: 'day', SEASON: 'season' };
+export const MAX_LEDGER_ENTRIES = 2000; // The oldest entries are dropped beyond this, to keep saves small
+
+// Key and label of the report period (a day or a season) that a day falls in
+const getLedgerPeriod = (day, period) => {
+    if (period === LEDGER_PERIOD.DAY) return { key: `${day}`, label: `Day ${day} (${formatCalendarDate(day)})` };
+    const { year, season } = getCalendarDate(day);
+    return { key: `${year}-${season}`, label: `${season.charAt(0).toUpperCase() + season.slice(1)}, Year ${year}` };
+};
+
+// Income and expenses (both positive) per day or season, oldest first
+export const summarizeLedger = (ledger, period) => {
+    const periods = new Map();
+    for (const entry of ledger) {
+        if (LEDGER_FINANCING_CATEGORIES.includes(entry.category)) continue;
+        const { key, label } = getLedgerPeriod(entry.day, period);
+        if (!periods.has(key)) periods.set(key, { key, label, income: 0, expenses: 0 });
+        const summary = periods.get(key);
+        if (entry.amount >= 0) summary.income += entry.amount;
+        else summary.expenses -= entry.amount;
+    }
+    return [...periods.values()];
+};
+
+// Net total of each category
+export const getCategoryTotals = (ledger) => {
+    const totals = Object.fromEntries(Object.values(LEDGER_CATEGORY).map(category => [category, 0]));
+    for (const entry of ledger) totals[entry.category] += entry.amount;
+    return totals;
+};
+
+// Income, expenses and profit of every crop in the registry
+export const getCropProfits = (ledger) => {
+    const profits = Object.fromEntries(Object.keys(CROP_DEFINITIONS).map(cropType => [cropType, { income: 0, expenses: 0, profit: 0 }]));
+    for (const entry of ledger) {
+        const profit = profits[entry.cropType];
+        if (!profit) continue;
+        if (entry.amount >= 0) profit.income += entry.amount;
+        else profit.expenses -= entry.amount;
+        profit.profit += entry.amount;
+    }
+    return profits;
+};
+
+export const ledgerToCsv = (ledger) => {
+    const quote = (value) => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+    const rows = ledger.map(entry => [
+        entry.day,
+        formatCalendarDate(entry.day),
+        formatClockTime(entry.time),
+        LEDGER_CATEGORY_LABELS[entry.category],
+        entry.item,
+        entry.cropType || '',
+        entry.amount.toFixed(2),
+    ].map(value => quote(String(value))).join(','));
+    return ['Day,Date,Time,Category,Item,Crop,Amount', ...rows].join('\n');
+};
+
+// Checks a saved ledger, dropping malformed entries and crops that no longer exist
+export const validateLedger = (ledger) => {
+    if (!Array.isArray(ledger)) return [];
+    const categories = Object.values(LEDGER_CATEGORY);
+    return ledger
+        .filter(entry => entry && Number.isInteger(entry.day) && entry.day >= 1 &&
+            typeof entry.time === 'number' && entry.time >= 0 && entry.time < 24 &&
+            categories.includes(entry.category) && typeof entry.item === 'string' && Number.isFinite(entry.amount))
+        .slice(-MAX_LEDGER_ENTRIES)
+        .map(entry => ({
+            day: entry.day,
+            time: entry.time,
+            category: entry.category,
+            item: entry.item,
+            amount: entry.amount,
+            cropType: CROP_DEFINITIONS[entry.cropType] ? entry.cropType : null,
+        }));
+};
+
+// --- Bank ---
+// The bank lends against the farm's assets: total debt may not go over CREDIT_LIMIT_SHARE of what they are worth.
+// Loans are paid back in equal daily installments (interest on the balance plus some principal), charged each
+// morning, and can be repaid early. An installment the player can't afford is missed: its interest and a late fee
+// are added to the balance, and MAX_MISSED_LOAN_PAYMENTS misses in a row bankrupt the farm, which then stands still.
+// The bank bails a bankrupt farm out MAX_BAILOUTS times, writing off its debt in exchange for the vehicle upgrades;
+// after that, bankruptcy is game over.
+//   bank = { day, nextId, loans, bankrupt, bailouts, creditFrozenUntilDay }
+//   loan = { id, principal, balance, installment, nextPaymentDay, missedPayments }
+export const LOAN_AMOUNTS = [250, 500, 1000];
+export const LOAN_TERM_DAYS = 7;
+export const LOAN_DAILY_INTEREST = 0.03;
+export const LOAN_LATE_FEE_SHARE = 0.1; // Share of the installment added to the balance when a payment is missed
+export const MAX_MISSED_LOAN_PAYMENTS = 3;
+export const CREDIT_LIMIT_SHARE = 0.25;
+export const VEHICLE_BASE_VALUES = { tractor: 1500, combineHarvester: 2500 }; // Before upgrades
+export const MAX_BAILOUTS = 1;
+export const BAILOUT_MONEY = 100; // Cash the player is topped up to after a bailout
+export const BAILOUT_CREDIT_FREEZE_DAYS = 7;
+
+export const createBank = () => ({
+    day: 0, // Day installments were last charged
+    nextId: 1,
+    loans: [],
+    bankrupt: false,
+    bailouts: 0,
+    creditFrozenUntilDay: 0,
+});
+
+// Daily installment that pays off a loan with interest in LOAN_TERM_DAYS
+export const getLoanInstallment = (principal) => (
+    principal * LOAN_DAILY_INTEREST / (1 - (1 + LOAN_DAILY_INTEREST) ** -LOAN_TERM_DAYS)
+);
+
+// What the bank accepts as collateral: vehicles with the upgrades paid for, built structures and owned land
+export const getAssetValues = (state) => ({
+    vehicles: Object.entries(VEHICLE_BASE_VALUES).reduce((total, [vehicleType, baseValue]) => (
+        total + baseValue + VEHICLE_UPGRADE_TIERS[vehicleType].slice(1, state[vehicleType].upgradeLevel + 1).reduce((sum, tier) => sum + tier.cost, 0)
+    ), 0),
+    buildings: (state.player.siloBuilt ? STRUCTURE_PRICES.silo : 0) + state.sprinklers.length * STRUCTURE_PRICES.sprinkler,
+    land: state.parcels.filter(parcel => parcel.owned).reduce((total, parcel) => total + parcel.price, 0),
+});
+
+export const getTotalDebt = (bank) => bank.loans.reduce((total, loan) => total + loan.balance, 0);
+
+export const getCreditLimit = (state) => (
+    Math.floor(Object.values(getAssetValues(state)).reduce((total, value) => total + value, 0) * CREDIT_LIMIT_SHARE)
+);
+
+// How much more the player may borrow right now
+export const getAvailableCredit = (state) => {
+    if (state.bank.bankrupt || state.day < state.bank.creditFrozenUntilDay) return 0;
+    return Math.max(0, getCreditLimit(state) - getTotalDebt(state.bank));
+};
+
+// Bankrupt with no bailouts left
+export const isGameOver = (bank) => bank.bankrupt && bank.bailouts >= MAX_BAILOUTS;
+
+export const validateBank = (bank) => {
+    const fresh = createBank();
+    if (!bank || typeof bank !== 'object') return fresh;
+
+    const isCount = (value) => Number.isInteger(value) && value >= 0;
+    const isAmount = (value) => Number.isFinite(value) && value >= 0;
+    const isLoan = (loan) => loan && isCount(loan.id) && isAmount(loan.principal) && isAmount(loan.balance) &&
+        isAmount(loan.installment) && isCount(loan.nextPaymentDay) && isCount(loan.missedPayments);
+
+    return {
+        day: isCount(bank.day) ? bank.day : fresh.day,
+        nextId: isCount(bank.nextId) ? bank.nextId : fresh.nextId,
+        loans: Array.isArray(bank.loans) ? bank.loans.filter(isLoan).map(loan => ({ ...loan })) : [],
+        bankrupt: bank.bankrupt === true,
+        bailouts: isCount(bank.bailouts) ? bank.bailouts : fresh.bailouts,
+        creditFrozenUntilDay: isCount(bank.creditFrozenUntilDay) ? bank.creditFrozenUntilDay : fresh.creditFrozenUntilDay,
+    };
+};
+
+// --- Terrain Generation ---
+export const GROUND_LEVEL_ROW = Math.floor(WORLD_HEIGHT_TILES * 0.75); // Surface row of flat ground, also the sun/moon horizon
+const GRASS_DEPTH_TILES = 3;
+const MAX_HILL_HEIGHT_TILES = 5;
+const MAX_VALLEY_DEPTH_TILES = 2;
+const FLAT_ZONE_BLEND_TILES = 6; // Hills ease back to ground level over this many tiles next to a flat zone
+
+// Column ranges (inclusive) kept flat at ground level for buildings and spawn points
+export const FLAT_TERRAIN_ZONES = [
+    { start: 24, end: 60 }, // Farmyard: west barn, player, tractor and implements
+    { start: 66, end: 96 }, // Silo plot and combine harvester
+    { start: 126, end: 143 }, // East barn
+];
+const TREE_COLUMNS = [5, 15, 100, 110];
+
+// 1D value noise in [-1, 1]: random values every `spacing` tiles, smoothly interpolated
+const createValueNoise = (rng, length, spacing) => {
+    const points = Array.from({ length: Math.ceil(length / spacing) + 2 }, () => nextRandom(rng) * 2 - 1);
+    return (x) => {
+        const i = Math.floor(x / spacing);
+        const t = (1 - Math.cos((x / spacing - i) * Math.PI)) / 2;
+        return points[i] * (1 - t) + points[i + 1] * t;
+    };
+};
+
+// 0 inside a flat zone, rising to 1 at FLAT_ZONE_BLEND_TILES away from the nearest one
+const getTerrainRoughness = (x) => {
+    const distance = Math.min(...FLAT_TERRAIN_ZONES.map(zone => Math.max(zone.start - x, x - zone.end, 0)));
+    return Math.min(1, distance / FLAT_ZONE_BLEND_TILES);
+};
+
+// Picks a random span of columns that doesn't touch any reserved span, or null when none fits
+const reserveTerrainSpan = (rng, width, reserved) => {
+    for (let attempt = 0; attempt < 20; attempt++) {
+        const start = Math.floor(nextRandom(rng) * (WORLD_WIDTH_TILES - width));
+        const end = start + width - 1;
+        if (reserved.every(span => end < span.start - 1 || start > span.end + 1)) {
+            reserved.push({ start, end });
+            return { start, end };
+        }
+    }
+    return null;
+};
+
+// Builds the tile grid: rolling hills outside the flat zones, ponds, a river, rocky patches that can't be tilled
+// and soil that varies along the map. Random numbers come from (and advance) rng.rngState.
+export const generateTerrain = (rng) => {
+    const hills = createValueNoise(rng, WORLD_WIDTH_TILES, 14);
+    const bumps = createValueNoise(rng, WORLD_WIDTH_TILES, 5);
+    const fertility = createValueNoise(rng, WORLD_WIDTH_TILES, 9);
+    const moisture = createValueNoise(rng, WORLD_WIDTH_TILES, 11);
+    const ph = createValueNoise(rng, WORLD_WIDTH_TILES, 17);
+    const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+    const surfaceRows = [];
+    const soils = [];
+    for (let x = 0; x < WORLD_WIDTH_TILES; x++) {
+        const height = Math.max(-1, Math.min(1, hills(x) + bumps(x) * 0.3)) * getTerrainRoughness(x);
+        surfaceRows.push(GROUND_LEVEL_ROW - Math.round(height * (height > 0 ? MAX_HILL_HEIGHT_TILES : MAX_VALLEY_DEPTH_TILES)));
+        soils.push({
+            fertility: round(0.5 + fertility(x) * 0.35, 2),
+            moisture: round(0.5 + moisture(x) * 0.2, 2),
+            ph: round(IDEAL_SOIL_PH + ph(x) * 1.2, 1),
+        });
+    }
+
+    const world = [];
+    for (let y = 0; y < WORLD_HEIGHT_TILES; y++) {
+        const row = [];
+        for (let x = 0; x < WORLD_WIDTH_TILES; x++) {
+            if (y < surfaceRows[x]) {
+                row.push({ type: TILE_TYPE.SKY, crop: null });
+            } else {
+                const type = y < surfaceRows[x] + GRASS_DEPTH_TILES ? TILE_TYPE.GRASS : TILE_TYPE.DIRT;
+                row.push({ type, crop: null, soil: soils[x] });
+            }
+        }
+        world.push(row);
+    }
+
+    const reserved = [...FLAT_TERRAIN_ZONES, ...TREE_COLUMNS.map(x => ({ start: x - 1, end: x + 3 }))];
+
+    // Water fills a dip up to the lower of its two banks. Ponds are bowls; the river is narrow enough for vehicles to roll over.
+    const waterSpans = [];
+    const carveWater = (span, getDepth) => {
+        waterSpans.push(span);
+        const waterRow = Math.max(surfaceRows[span.start], surfaceRows[span.end]);
+        for (let x = span.start; x <= span.end; x++) {
+            const bedRow = Math.min(WORLD_HEIGHT_TILES - 1, waterRow + getDepth(x - span.start));
+            for (let y = surfaceRows[x]; y < bedRow; y++) {
+                world[y][x] = { type: y < waterRow ? TILE_TYPE.SKY : TILE_TYPE.WATER, crop: null };
+            }
+            world[bedRow][x] = { ...world[bedRow][x], type: TILE_TYPE.DIRT };
+        }
+    };
+
+    for (let i = 0; i < 2; i++) {
+        const width = 5 + Math.floor(nextRandom(rng) * 4);
+        const pond = reserveTerrainSpan(rng, width, reserved);
+        if (pond) carveWater(pond, (offset) => Math.min(2, offset + 1, width - offset));
+    }
+    const river = reserveTerrainSpan(rng, 3, reserved);
+    if (river) carveWater(river, () => 2);
+
+    for (let i = 0; i < 3; i++) {
+        const rocks = reserveTerrainSpan(rng, 2 + Math.floor(nextRandom(rng) * 3), reserved);
+        if (!rocks) continue;
+        for (let x = rocks.start; x <= rocks.end; x++) {
+            for (let y = surfaceRows[x]; y < surfaceRows[x] + 2; y++) {
+                world[y][x] = { type: TILE_TYPE.ROCK, crop: null };
+            }
+        }
+    }
+
+    // Ground next to water is wetter
+    for (let x = 0; x < WORLD_WIDTH_TILES; x++) {
+        const distance = Math.min(Infinity, ...waterSpans.map(span => Math.max(span.start - x, x - span.end, 0)));
+        if (distance === 0 || distance > 4) continue;
+        const soil = { ...soils[x], moisture: round(Math.min(1, soils[x].moisture + 0.3 * (1 - distance / 5)), 2) };
+        for (let y = 0; y < WORLD_HEIGHT_TILES; y++) {
+            if (world[y][x].soil) world[y][x] = { ...world[y][x], soil };
+        }
+    }
+
+    return world;
+};
+
+// Row of the highest solid tile in a column (WORLD_HEIGHT_TILES if there is none)
+export const getSurfaceRow = (world, tileX) => {
+    const column = Math.max(0, Math.min(WORLD_WIDTH_TILES - 1, tileX));
+    for (let y = 0; y < world.length; y++) {
+        if (isSolidTile(world[y][column])) return y;
+    }
+    return WORLD_HEIGHT_TILES;
+};
+
+// Pixel y of the highest ground under a horizontal span, for placing things on the surface
+export const getSurfaceY = (world, x, width = 1) => {
+    let surfaceRow = WORLD_HEIGHT_TILES;
+    for (let tileX = Math.floor(x / TILE_SIZE); tileX <= Math.floor((x + width - 1) / TILE_SIZE); tileX++) {
+        surfaceRow = Math.min(surfaceRow, getSurfaceRow(world, tileX));
+    }
+    return surfaceRow * TILE_SIZE;
+};
+
+// Ground slope under an entity's wheels: pixels of drop per pixel to the right (negative when rising to the right)
+export const getGroundSlope = (world, entity) => {
+    const rearX = entity.x + entity.width * 0.15;
+    const frontX = entity.x + entity.width * 0.85;
+    return (getSurfaceY(world, frontX) - getSurfaceY(world, rearX)) / (frontX - rearX);
+};
+
+// --- Land Parcels ---
+// The world is divided into strips of PARCEL_WIDTH_TILES columns. The farmyard parcels are owned from the start and
+// the rest can be bought in the shop; fields can only be worked on owned land. Prices are set when the world is made
+// and follow the land: fertile soil costs more, while rock and water that can't be farmed count for little.
+//   parcel = { id, startX, endX, price, owned } (covering tile columns startX to endX - 1)
+export const PARCEL_WIDTH_TILES = 15;
+export const STARTING_PARCEL_IDS = [1, 2, 3, 4]; // The well, the barn, the vehicles and the silo site
+export const PARCEL_PRICE_PER_TILE = 40; // For a farmable column of average (0.5) fertility
+const UNFARMABLE_PARCEL_TILE_PRICE = 10;
+
+// Farmable columns of a parcel and their average fertility, read from the surface tiles
+export const getParcelLand = (world, parcel) => {
+    let farmable = 0;
+    let fertility = 0;
+    for (let x = parcel.startX; x < parcel.endX; x++) {
+        const tile = world[getSurfaceRow(world, x)]?.[x];
+        if (!tile?.soil || tile.type === TILE_TYPE.ROCK || tile.type === TILE_TYPE.WATER) continue;
+        farmable++;
+        fertility += tile.soil.fertility;
+    }
+    return { farmable, fertility: farmable > 0 ? fertility / farmable : 0 };
+};
+
+export const createParcels = (world) => {
+    const parcels = [];
+    for (let startX = 0; startX < WORLD_WIDTH_TILES; startX += PARCEL_WIDTH_TILES) {
+        const parcel = { id: parcels.length, startX, endX: Math.min(WORLD_WIDTH_TILES, startX + PARCEL_WIDTH_TILES) };
+        const land = getParcelLand(world, parcel);
+        const price = land.farmable * PARCEL_PRICE_PER_TILE * (0.5 + land.fertility) +
+            (parcel.endX - parcel.startX - land.farmable) * UNFARMABLE_PARCEL_TILE_PRICE;
+        parcels.push({ ...parcel, price: Math.round(price / 50) * 50, owned: STARTING_PARCEL_IDS.includes(parcel.id) });
+    }
+    return parcels;
+};
+
+export const getParcelAt = (parcels, tileX) => parcels.find(parcel => tileX >= parcel.startX && tileX < parcel.endX) || null;
+
+export const isLandOwned = (parcels, tileX) => !!getParcelAt(parcels, tileX)?.owned;
+
+// Keeps the ownership of a saved parcel layout. Saves from before parcels (or with a broken layout) get fresh parcels,
+// plus any parcel they were already farming so no field is lost.
+export const validateParcels = (parcels, world) => {
+    const fresh = createParcels(world);
+    const matchesLayout = Array.isArray(parcels) && parcels.length === fresh.length && parcels.every((parcel, i) => (
+        parcel && parcel.startX === fresh[i].startX && parcel.endX === fresh[i].endX && typeof parcel.price === 'number'
+    ));
+    if (matchesLayout) return parcels.map((parcel, i) => ({ ...fresh[i], price: parcel.price, owned: parcel.owned === true }));
+
+    const isFarmed = (parcel) => world.some(row => row.slice(parcel.startX, parcel.endX).some(tile => tile.crop || tile.type === TILE_TYPE.TILLED));
+    return fresh.map(parcel => ({ ...parcel, owned: parcel.owned || isFarmed(parcel) }));
+};
+
+// --- Simulation Core ---
+// All game rules live here as plain functions with no React, DOM or wall-clock access, so the game can run
+// headlessly (in Node or Jest). GameProvider is a thin adapter: it feeds input into step() once per frame,
+// renders the returned state and turns the emitted events into UI feedback.
+//
+// step(state, input, dt):
+//   state - full simulation state (see createInitialSimState)
+//   input - { keys: { left, right, jump }, actions: [{ type: SIM_ACTION.*, ...payload }] }
+//   dt    - tick length in milliseconds (the adapter always passes SIM_TICK_MS)
+// Rules receive the shallow copy made by step() and replace nested objects instead of mutating them,
+// so the state passed in is never modified.
+export const SIM_TICK_MS = 1000 / 60; // Fixed timestep, independent of the display's frame rate
+export const SIM_MAX_FRAME_MS = 250; // Longest frame the game loop catches up on (e.g. after the tab was in the background)
+
+export const SIM_ACTION = {
+    ENTER_EXIT_VEHICLE: 'enterExitVehicle',
+    HITCH_ATTACHMENT: 'hitchAttachment',
+    TILL_SOIL: 'tillSoil',
+    PLANT_CROP: 'plantCrop',
+    HARVEST_CROP: 'harvestCrop',
+    SELECT_CROP: 'selectCrop', // { cropType }
+    BUY_SEEDS: 'buySeeds', // { cropType, quantity }
+    BUY_SUPPLIES: 'buySupplies', // { supplyType, quantity }
+    SELL_CROPS: 'sellCrops', // { cropType, grade } (null cropType sells everything, null grade sells every grade)
+    REFUEL: 'refuel',
+    BUILD_SILO: 'buildSilo',
+    BUILD_SPRINKLER: 'buildSprinkler', // Placed where the player stands
+    WATER_CROP: 'waterCrop',
+    HOE: 'hoe',
+    REFILL_WATER: 'refillWater',
+    UPGRADE_VEHICLE: 'upgradeVehicle', // { vehicleType }
+    ACCEPT_CONTRACT: 'acceptContract', // { contractId }
+    DELIVER_CONTRACT: 'deliverContract', // { contractId }
+    BUY_PARCEL: 'buyParcel', // { parcelId }
+    TAKE_LOAN: 'takeLoan', // { amount } (one of LOAN_AMOUNTS)
+    REPAY_LOAN: 'repayLoan', // { loanId }
+    ACCEPT_BAILOUT: 'acceptBailout',
+};
+
+export const SIM_EVENT = {
+    STATUS: 'status', // { message, duration }
+    MONEY_CHANGE: 'moneyChange', // { amount }
+};
+
+export const EMPTY_SIM_INPUT = { keys: { left: false, right: false, jump: false }, actions: [] };
+
+// Grade effects on vehicles (grade = rise per pixel travelled)
+export const UPHILL_SPEED_PENALTY = 1.5; // Fraction of speed lost per unit of grade
+export const MIN_UPHILL_SPEED_FACTOR = 0.4;
+export const DOWNHILL_SPEED_BONUS = 0.5;
+export const MAX_DOWNHILL_SPEED_FACTOR = 1.25;
+export const UPHILL_FUEL_FACTOR = 3; // Extra fuel use per unit of grade
+const TILT_RESPONSE = 10; // How quickly tilt eases towards the slope, per second
+const MAX_TILT = 0.4; // Radians; keeps short implements from standing on end over a single step
+
+const VEHICLE_KEYS = ['tractor', 'combineHarvester'];
+const VEHICLE_LABELS = { tractor: 'Tractor', combineHarvester: 'Combine' };
+const ATTACHMENT_KEYS = ['plow', 'seeder', 'spreader', 'sprayer'];
+
+// Utility function to capitalize the first letter of a name for status messages
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+const emitStatus = (sim, message, duration) => {
+    sim.events.push({ type: SIM_EVENT.STATUS, message, duration });
+};
+
+const emitMoneyChange = (sim, amount) => {
+    sim.events.push({ type: SIM_EVENT.MONEY_CHANGE, amount });
+};
+
+// Adds a payment to the ledger, stamped with the in-game date and time (see Finances)
+const recordTransaction = (sim, category, item, amount, cropType = null) => {
+    const entry = { day: sim.day, time: sim.gameTime, category, item, amount, cropType };
+    sim.ledger = [...sim.ledger, entry].slice(-MAX_LEDGER_ENTRIES);
+};
+
+// Returns the state key of the vehicle the player is driving, or null
+export const getOccupiedVehicleKey = (sim) => VEHICLE_KEYS.find(key => sim[key].isInVehicle) || null;
+
+const isInsideWorld = (tileX, tileY) => tileX >= 0 && tileX < WORLD_WIDTH_TILES && tileY >= 0 && tileY < WORLD_HEIGHT_TILES;
+
+// Utility function to find the tile an entity is standing on
+const getTileUnderEntity = (entity) => ({
+    tileX: Math.floor((entity.x + entity.width / 2) / TILE_SIZE),
+    tileY: Math.floor((entity.y + entity.height) / TILE_SIZE),
+});
+
+// Replaces a single tile, copying only the affected row
+const setTile = (sim, tileX, tileY, tile) => {
+    sim.world = sim.world.map((row, y) => (y === tileY ? row.map((t, x) => (x === tileX ? tile : t)) : row));
+};
+
+// Hand tools only work on owned land; says so when the player tries elsewhere
+const requireOwnedLand = (sim, tileX) => {
+    if (isLandOwned(sim.parcels, tileX)) return true;
+    emitStatus(sim, "You don't own this land! Buy the parcel in the shop.", 1500);
+    return false;
+};
+
+// Speeds are in pixels per second, lifetime in milliseconds
+const spawnParticles = (sim, x, y, count, color, sizeMin, sizeMax, speedMin, speedMax, lifetime, spreadX = TILE_SIZE, spreadY = TILE_SIZE / 2) => {
+    const newParticles = [];
+    for (let i = 0; i < count; i++) {
+        newParticles.push({
+            x: x + nextRandom(sim) * spreadX - spreadX / 2,
+            y: y + nextRandom(sim) * spreadY - spreadY / 2,
+            vx: (nextRandom(sim) - 0.5) * (speedMax - speedMin) + speedMin,
+            vy: (nextRandom(sim) - 0.5) * (speedMax - speedMin) + speedMin,
+            color: color,
+            size: nextRandom(sim) * (sizeMax - sizeMin) + sizeMin,
+            lifetime: lifetime,
+            age: 0,
+            opacity: 1,
+        });
+    }
+    sim.particles = [...sim.particles, ...newParticles];
+};
+
+// The farmyard well, where the water tank is refilled
+export const createWell = (world) => {
+    const x = TILE_SIZE * 26;
+    return { x, y: getSurfaceY(world, x, TILE_SIZE * 2) - TILE_SIZE * 2.5, width: TILE_SIZE * 2, height: TILE_SIZE * 2.5 };
+};
+
+// Builds the terrain, scenery and starting positions for a new farm.
+// Random numbers come from (and advance) rng.rngState.
+export const generateWorldState = (rng) => {
+    const world = generateTerrain(rng);
+    const onSurface = (entity) => ({ ...entity, y: getSurfaceY(world, entity.x, entity.width) - entity.height });
+
+    const clouds = [];
+    for (let i = 0; i < 5; i++) {
+        clouds.push({
+            x: nextRandom(rng) * WORLD_WIDTH_PIXELS,
+            y: nextRandom(rng) * (WORLD_HEIGHT_PIXELS / 3),
+            width: TILE_SIZE * (5 + nextRandom(rng) * 5),
+            height: TILE_SIZE * (2 + nextRandom(rng) * 2),
+            speed: 12 + nextRandom(rng) * 18 // Pixels per second
+        });
+    }
+
+    return {
+        world,
+        trees: [
+            onSurface({ x: TILE_SIZE * TREE_COLUMNS[0], width: TILE_SIZE * 2, height: TILE_SIZE * 5 }),
+            onSurface({ x: TILE_SIZE * TREE_COLUMNS[1], width: TILE_SIZE * 2, height: TILE_SIZE * 5 }),
+            onSurface({ x: TILE_SIZE * TREE_COLUMNS[2], width: TILE_SIZE * 2.5, height: TILE_SIZE * 6 }),
+            onSurface({ x: TILE_SIZE * TREE_COLUMNS[3], width: TILE_SIZE * 2, height: TILE_SIZE * 5 }),
+        ],
+        barns: [
+            onSurface({ x: TILE_SIZE * 30, width: TILE_SIZE * 8, height: TILE_SIZE * 7 }),
+            onSurface({ x: TILE_SIZE * 130, width: TILE_SIZE * 10, height: TILE_SIZE * 8 }),
+        ],
+        wells: [createWell(world)],
+        parcels: createParcels(world),
+        clouds,
+        player: onSurface({ ...INITIAL_PLAYER_STATE, x: WORLD_WIDTH_PIXELS / 4 }),
+        tractor: onSurface({ ...INITIAL_TRACTOR_STATE, x: WORLD_WIDTH_PIXELS / 4 + 100 }),
+        plow: onSurface({ ...INITIAL_PLOW_STATE, x: WORLD_WIDTH_PIXELS / 4 + 100 - 100 }),
+        seeder: onSurface({ ...INITIAL_SEEDER_STATE, x: WORLD_WIDTH_PIXELS / 4 + 100 + 100 }),
+        spreader: onSurface({ ...INITIAL_SPREADER_STATE, x: WORLD_WIDTH_PIXELS / 4 + 100 + 210 }),
+        sprayer: onSurface(INITIAL_SPRAYER_STATE),
+        combineHarvester: onSurface(INITIAL_COMBINE_HARVESTER_STATE),
+    };
+};
+
+export const createInitialSimState = (seed = createWorldSeed()) => {
+    const rng = { rngState: seed };
+    const worldState = generateWorldState(rng);
+
+    return {
+        tick: 0,
+        seed, // Shown in settings so a world can be recreated
+        rngState: rng.rngState,
+        ...worldState,
+        silos: [],
+        sprinklers: [],
+        birds: [],
+        planes: [],
+        balloons: [],
+        particles: [],
+        sunState: {
+            radius: TILE_SIZE * 1.5,
+            color: '#FFFACD',
+            x: WORLD_WIDTH_PIXELS / 2, y: WORLD_HEIGHT_PIXELS / 4,
+            visible: false
+        },
+        moonState: {
+            radius: TILE_SIZE * 1.2,
+            color: '#F0F8FF',
+            x: WORLD_WIDTH_PIXELS / 2, y: WORLD_HEIGHT_PIXELS / 4,
+            visible: false
+        },
+        gameTime: 12, // Start at mid-day
+        day: 1,
+        weather: DEFAULT_WEATHER,
+        weatherForecast: [], // Topped up to WEATHER_FORECAST_LENGTH by the first step
+        market: createMarket(),
+        contracts: createContracts(),
+        ledger: [],
+        bank: createBank(),
+        selectedCropType: CROP_TYPE.WHEAT,
+        nextFlyingObjectIn: 0, // ms until the next bird/plane/balloon
+        events: [],
+    };
+};
+
+// Puts validated save data (see deserializeGameState) into a simulation state, dropping transient effects
+export const loadSimState = (sim, loadedState) => {
+    const { savedAt, ...persistentState } = loadedState;
+    return { ...sim, ...persistentState, particles: [], events: [] };
+};
+
+// Rules: Player & Vehicle Control
+const applyPlayerInput = (sim, keys) => {
+    const player = sim.player;
+    if (player.isInVehicle) return;
+
+    let vx = 0;
+    let facing = player.facing;
+    if (keys.left) {
+        vx = -player.speed;
+        facing = 'left';
+    } else if (keys.right) {
+        vx = player.speed;
+        facing = 'right';
+    }
+
+    let vy = player.vy;
+    let onGround = player.onGround;
+    if (keys.jump && player.onGround) {
+        vy = -player.jumpPower;
+        onGround = false;
+    }
+
+    sim.player = { ...player, vx, vy, onGround, facing };
+};
+
+const applyVehicleInput = (sim, vehicleKey, keys, seconds) => {
+    const vehicle = sim[vehicleKey];
+    if (!vehicle.isInVehicle) {
+        if (vehicle.vx !== 0) sim[vehicleKey] = { ...vehicle, vx: 0 };
+        return;
+    }
+
+    if (vehicle.fuel <= 0 && (keys.left || keys.right)) {
+        emitStatus(sim, `${VEHICLE_LABELS[vehicleKey]} out of fuel!`, 1000);
+        sim[vehicleKey] = { ...vehicle, vx: 0 };
+        return;
+    }
+
+    const direction = keys.left ? -1 : keys.right ? 1 : 0;
+    if (direction === 0) {
+        sim[vehicleKey] = { ...vehicle, vx: 0 };
+        return;
+    }
+
+    // Climbing is slower and thirstier; rolling downhill is a little faster
+    const grade = -getGroundSlope(sim.world, vehicle) * direction;
+    const speedFactor = grade > 0
+        ? Math.max(MIN_UPHILL_SPEED_FACTOR, 1 - grade * UPHILL_SPEED_PENALTY)
+        : Math.min(MAX_DOWNHILL_SPEED_FACTOR, 1 - grade * DOWNHILL_SPEED_BONUS);
+    const fuelUsed = vehicle.fuelConsumption * (1 + Math.max(0, grade) * UPHILL_FUEL_FACTOR) * seconds;
+
+    sim[vehicleKey] = {
+        ...vehicle,
+        vx: direction * vehicle.speed * speedFactor,
+        fuel: Math.max(0, vehicle.fuel - fuelUsed),
+        facing: direction < 0 ? 'left' : 'right',
+    };
+};
+
+const toggleVehicle = (sim) => {
+    const player = sim.player;
+
+    if (player.isInVehicle) {
+        const vehicleKey = getOccupiedVehicleKey(sim);
+        if (!vehicleKey) return;
+
+        const vehicle = sim[vehicleKey];
+        sim[vehicleKey] = { ...vehicle, isInVehicle: false };
+        sim.player = {
+            ...player,
+            isInVehicle: false,
+            x: vehicle.x + (vehicle.width / 2) - (player.width / 2),
+            y: getSurfaceY(sim.world, vehicle.x + (vehicle.width / 2) - (player.width / 2), player.width) - player.height,
+            vx: 0, vy: 0, onGround: false,
+        };
+        emitStatus(sim, `Exited ${capitalize(vehicle.type)}`, 1500);
+        return;
+    }
+
+    let closestVehicleKey = null;
+    let minDistance = Infinity;
+    const enterRange = 80;
+
+    for (const vehicleKey of VEHICLE_KEYS) {
+        const vehicle = sim[vehicleKey];
+        const distance = Math.hypot(player.x - vehicle.x, player.y - vehicle.y);
+        if (distance < minDistance && distance < enterRange) {
+            minDistance = distance;
+            closestVehicleKey = vehicleKey;
+        }
+    }
+
+    if (!closestVehicleKey) {
+        emitStatus(sim, "No vehicle close enough to enter!", 1000);
+        return;
+    }
+
+    const vehicle = sim[closestVehicleKey];
+    sim[closestVehicleKey] = { ...vehicle, isInVehicle: true };
+    sim.player = {
+        ...player,
+        isInVehicle: true,
+        x: vehicle.x + (vehicle.width / 2),
+        y: vehicle.y + (vehicle.height / 2),
+    };
+    emitStatus(sim, `Entered ${capitalize(vehicle.type)}`, 1500);
+};
+
+const toggleHitch = (sim) => {
+    const tractor = sim.tractor;
+    if (!tractor.isInVehicle) {
+        emitStatus(sim, "Must be in tractor to hitch attachments!", 1000);
+        return;
+    }
+
+    if (tractor.equipment) {
+        const attachmentKey = tractor.equipment.type;
+        sim[attachmentKey] = { ...sim[attachmentKey], isHitched: false };
+        sim.tractor = { ...tractor, equipment: null };
+        emitStatus(sim, `${capitalize(attachmentKey)} Detached`, 1500);
+        return;
+    }
+
+    let closestAttachmentKey = null;
+    let minDistance = Infinity;
+    const hitchRange = 60;
+
+    for (const attachmentKey of ATTACHMENT_KEYS) {
+        const attachment = sim[attachmentKey];
+        if (attachment.isHitched) continue;
+        const distance = Math.abs(tractor.x - attachment.x);
+        if (distance < minDistance && distance < hitchRange) {
+            minDistance = distance;
+            closestAttachmentKey = attachmentKey;
+        }
+    }
+
+    if (!closestAttachmentKey) {
+        emitStatus(sim, "No attachment close enough to hitch!", 1000);
+        return;
+    }
+
+    const attachment = sim[closestAttachmentKey];
+    sim[closestAttachmentKey] = { ...attachment, isHitched: true };
+    sim.tractor = { ...tractor, equipment: { type: attachment.type } };
+    emitStatus(sim, `${capitalize(attachment.type)} Attached`, 1500);
+};
+
+// Moves every entity, then snaps hitched equipment and the driver to their vehicle
+const applyPhysics = (sim, seconds) => {
+    for (const entityKey of ['player', ...VEHICLE_KEYS, ...ATTACHMENT_KEYS]) {
+        sim[entityKey] = updateEntityPosition(sim[entityKey], sim.world, WORLD_WIDTH_TILES, seconds);
+    }
+
+    // Hitched equipment trails the tractor and rests on the ground beneath it, so it follows the contour
+    const tractor = sim.tractor;
+    if (tractor.isInVehicle && tractor.equipment) {
+        const attachmentKey = tractor.equipment.type;
+        const attachment = sim[attachmentKey];
+        const x = tractor.facing === 'right' ? tractor.x - attachment.width - 5 : tractor.x + tractor.width + 5;
+        sim[attachmentKey] = {
+            ...attachment,
+            x,
+            y: tractor.onGround ? getSurfaceY(sim.world, x, attachment.width) - attachment.height : tractor.y + (tractor.height - attachment.height),
+            onGround: tractor.onGround,
+            vy: tractor.vy,
+        };
+    }
+
+    for (const entityKey of [...VEHICLE_KEYS, ...ATTACHMENT_KEYS]) {
+        const entity = sim[entityKey];
+        const tilt = entity.tilt || 0;
+        const slopeTilt = Math.max(-MAX_TILT, Math.min(MAX_TILT, Math.atan(getGroundSlope(sim.world, entity))));
+        const targetTilt = entity.onGround ? slopeTilt : tilt;
+        sim[entityKey] = { ...entity, tilt: tilt + (targetTilt - tilt) * Math.min(1, seconds * TILT_RESPONSE) };
+    }
+
+    const vehicleKey = getOccupiedVehicleKey(sim);
+    if (sim.player.isInVehicle && vehicleKey) {
+        const vehicle = sim[vehicleKey];
+        sim.player = {
+            ...sim.player,
+            x: vehicle.x + (vehicle.width / 2) - (sim.player.width / 2),
+            y: vehicle.y - sim.player.height,
+        };
+    }
+};
+
+// A freshly sown crop. Sowing outside the crop's planting seasons is allowed, but it won't grow.
+const createCrop = (sim, cropType) => ({
+    type: cropType,
+    stage: 0,
+    growth: 0, // In-game hours grown so far
+    outOfSeason: !isCropInSeason(cropType, getCalendarDate(sim.day).season),
+});
+
+// Rolls how many units a ripe tile gives (at least one), grades them and returns the tile left behind, with the soil a
+// little poorer. Regrowing crops drop back to their regrowStage while still in season; everything else leaves tilled soil.
+const harvestTile = (sim, tile) => {
+    const soil = tile.soil || DEFAULT_SOIL;
+    const expectedYield = getExpectedYield(tile);
+    const amount = Math.max(1, Math.floor(expectedYield) + (nextRandom(sim) < expectedYield % 1 ? 1 : 0));
+    const grade = getCropQuality(tile);
+    const { regrowStage } = CROP_DEFINITIONS[tile.crop.type];
+    const regrows = regrowStage !== null && isCropInSeason(tile.crop.type, getCalendarDate(sim.day).season);
+    const harvestedSoil = { ...soil, fertility: Math.max(0, soil.fertility - FERTILITY_USED_PER_HARVEST) };
+    return {
+        amount,
+        grade,
+        regrows,
+        tile: regrows ? {
+            ...tile,
+            type: TILE_TYPE.CROP_PLANTED,
+            crop: {
+                ...tile.crop,
+                stage: regrowStage,
+                growth: getStageStartHours(tile.crop.type, regrowStage),
+                stressHours: 0,
+                flattened: false,
+                sprayed: false,
+            },
+            soil: harvestedSoil,
+        } : { ...tile, type: TILE_TYPE.TILLED, crop: null, soil: harvestedSoil, lastCrop: tile.crop.type },
+    };
+};
+
+// Adds harvested units to the player's stack of that crop and grade
+const storeProduce = (sim, cropType, grade, amount) => {
+    const stack = sim.player.inventory[cropType] || createProduceStack();
+    sim.player = {
+        ...sim.player,
+        inventory: { ...sim.player.inventory, [cropType]: { ...stack, [grade]: (stack[grade] || 0) + amount } }
+    };
+};
+
+// Rules: Hand Tools
+const tillSoil = (sim) => {
+    if (sim.player.isInVehicle) return;
+
+    const { tileX, tileY } = getTileUnderEntity(sim.player);
+    if (!isInsideWorld(tileX, tileY) || !requireOwnedLand(sim, tileX)) return;
+
+    const tile = sim.world[tileY][tileX];
+    if (tile.type === TILE_TYPE.ROCK) {
+        emitStatus(sim, "Too rocky to till!", 1000);
+    } else if (tile.type === TILE_TYPE.GRASS || tile.type === TILE_TYPE.DIRT) {
+        setTile(sim, tileX, tileY, { ...tile, type: TILE_TYPE.TILLED, weeds: false });
+        emitStatus(sim, `Tilled soil (${describeSoil(tile.soil)})`, 1000);
+        spawnParticles(sim, tileX * TILE_SIZE + TILE_SIZE / 2, tileY * TILE_SIZE + TILE_SIZE / 2, 10, '#D2B48C', 2, 5, -60, 60, 500);
+    }
+};
+
+const plantCrop = (sim) => {
+    if (sim.player.isInVehicle) return;
+
+    const { tileX, tileY } = getTileUnderEntity(sim.player);
+    if (!isInsideWorld(tileX, tileY) || !requireOwnedLand(sim, tileX)) return;
+
+    const tile = sim.world[tileY][tileX];
+    const cropType = sim.selectedCropType;
+
+    if (tile.crop) {
+        emitStatus(sim, "Already something here!", 1000);
+        return;
+    }
+    if (tile.type !== TILE_TYPE.TILLED) {
+        emitStatus(sim, "Needs tilled soil!", 1000);
+        return;
+    }
+
+    const seedInventoryKey = getSeedInventoryKey(cropType);
+    if (!(sim.player.inventory[seedInventoryKey] > 0)) {
+        emitStatus(sim, `No ${cropType} seeds!`, 1000);
+        return;
+    }
+
+    const crop = createCrop(sim, cropType);
+    setTile(sim, tileX, tileY, { ...tile, type: TILE_TYPE.CROP_PLANTED, crop });
+    sim.player = {
+        ...sim.player,
+        inventory: { ...sim.player.inventory, [seedInventoryKey]: sim.player.inventory[seedInventoryKey] - 1 }
+    };
+    const rotationNote = tile.lastCrop && tile.lastCrop !== cropType ? ' Crop rotation keeps disease away.' : '';
+    emitStatus(sim, crop.outOfSeason ? `${capitalize(cropType)} planted out of season, it won't grow!` : `${capitalize(cropType)} planted!${rotationNote}`, 1500);
+    spawnParticles(sim, tileX * TILE_SIZE + TILE_SIZE / 2, tileY * TILE_SIZE + TILE_SIZE / 2, 5, getCropColor(crop), 3, 6, -30, 30, 700);
+};
+
+const harvestCrop = (sim) => {
+    if (sim.player.isInVehicle) return;
+
+    const { tileX, tileY } = getTileUnderEntity(sim.player);
+    if (!isInsideWorld(tileX, tileY) || !requireOwnedLand(sim, tileX)) return;
+
+    const tile = sim.world[tileY][tileX];
+    if (tile.crop?.withered) {
+        setTile(sim, tileX, tileY, { ...tile, type: TILE_TYPE.TILLED, crop: null, lastCrop: tile.crop.type });
+        emitStatus(sim, "Cleared withered crop.", 1000);
+        return;
+    }
+    if (!(tile.type === TILE_TYPE.CROP_GROWN && tile.crop && isCropRipe(tile.crop))) {
+        emitStatus(sim, tile.crop ? "Crop not mature yet!" : "Nothing to harvest here!", 1000);
+        return;
+    }
+
+    const harvestedCropType = tile.crop.type;
+    const currentCropCount = getProduceCount(sim.player.inventory, harvestedCropType);
+    if (currentCropCount >= sim.player.maxStorage) {
+        emitStatus(sim, "Storage full! Sell crops to make space.", 1500);
+        return;
+    }
+
+    const harvest = harvestTile(sim, tile);
+    const amount = Math.min(harvest.amount, sim.player.maxStorage - currentCropCount);
+    setTile(sim, tileX, tileY, harvest.tile);
+    storeProduce(sim, harvestedCropType, harvest.grade, amount);
+    const harvestedMessage = `Harvested ${amount > 1 ? `${amount} ` : ''}${capitalize(harvest.grade)} ${capitalize(harvestedCropType)}!`;
+    emitStatus(sim, harvest.regrows ? `${harvestedMessage} It will crop again.` : harvestedMessage, 1500);
+    spawnParticles(sim, tileX * TILE_SIZE + TILE_SIZE / 2, tileY * TILE_SIZE + TILE_SIZE / 2, 15, getCropColor(tile.crop), 4, 8, -90, 90, 800);
+};
+
+// Hoeing pulls up weeds, or a diseased plant before it infects its neighbours
+const hoe = (sim) => {
+    if (sim.player.isInVehicle) return;
+
+    const { tileX, tileY } = getTileUnderEntity(sim.player);
+    if (!isInsideWorld(tileX, tileY) || !requireOwnedLand(sim, tileX)) return;
+
+    const tile = sim.world[tileY][tileX];
+    if (tile.weeds) {
+        setTile(sim, tileX, tileY, { ...tile, weeds: false });
+        emitStatus(sim, "Weeded!", 1000);
+        spawnParticles(sim, tileX * TILE_SIZE + TILE_SIZE / 2, tileY * TILE_SIZE, 6, '#556B2F', 2, 4, -48, 48, 500);
+    } else if (tile.crop?.diseased && !tile.crop.withered) {
+        setTile(sim, tileX, tileY, { ...tile, type: TILE_TYPE.TILLED, crop: null, lastCrop: tile.crop.type });
+        emitStatus(sim, "Pulled up a diseased plant.", 1000);
+    } else {
+        emitStatus(sim, "Nothing to hoe here!", 1000);
+    }
+};
+
+const waterCrop = (sim) => {
+    if (sim.player.isInVehicle) return;
+
+    const { tileX, tileY } = getTileUnderEntity(sim.player);
+    if (!isInsideWorld(tileX, tileY) || !requireOwnedLand(sim, tileX)) return;
+
+    const tile = sim.world[tileY][tileX];
+    if (!tile.soil) {
+        emitStatus(sim, "Nothing to water here!", 1000);
+        return;
+    }
+    if (tile.crop?.withered) {
+        emitStatus(sim, "Too late, this crop has withered!", 1000);
+        return;
+    }
+    if (!(sim.player.water > 0)) {
+        emitStatus(sim, "Water tank empty! Refill at a well or pond.", 1500);
+        return;
+    }
+
+    const moisture = Math.min(1, tile.soil.moisture + WATERING_CAN_MOISTURE);
+    setTile(sim, tileX, tileY, { ...tile, soil: { ...tile.soil, moisture } });
+    sim.player = { ...sim.player, water: sim.player.water - 1 };
+    emitStatus(sim, `Watered (moisture ${Math.round(moisture * 100)}%)`, 1000);
+    spawnParticles(sim, tileX * TILE_SIZE + TILE_SIZE / 2, tileY * TILE_SIZE, 8, '#8EC9FF', 2, 4, -30, 30, 500);
+};
+
+const refillWater = (sim) => {
+    const player = sim.player;
+    if (player.isInVehicle) return;
+
+    const playerCenterX = player.x + player.width / 2;
+    const nearWell = sim.wells.some(well => Math.abs(well.x + well.width / 2 - playerCenterX) <= WATER_REFILL_RANGE_TILES * TILE_SIZE);
+    const { tileX, tileY } = getTileUnderEntity(player);
+    let nearPond = false;
+    for (let y = tileY - WATER_REFILL_RANGE_TILES; y <= tileY + WATER_REFILL_RANGE_TILES && !nearPond; y++) {
+        for (let x = tileX - WATER_REFILL_RANGE_TILES; x <= tileX + WATER_REFILL_RANGE_TILES; x++) {
+            if (isInsideWorld(x, y) && sim.world[y][x].type === TILE_TYPE.WATER) {
+                nearPond = true;
+                break;
+            }
+        }
+    }
+
+    if (!nearWell && !nearPond) {
+        emitStatus(sim, "Find a well or pond to refill your water tank!", 1500);
+        return;
+    }
+    if (player.water >= player.maxWater) {
+        emitStatus(sim, "Water tank is already full!", 1000);
+        return;
+    }
+
+    sim.player = { ...player, water: player.maxWater };
+    emitStatus(sim, "Water tank refilled!", 1500);
+};
+
+// Rules: Machinery
+const applyPlow = (sim) => {
+    const { tractor, plow } = sim;
+    if (tractor.equipment?.type !== 'plow' || tractor.vx === 0 || tractor.fuel <= 0) return;
+
+    const plowY = Math.floor((plow.y + plow.height) / TILE_SIZE);
+    for (let i = 0; i < plow.width / TILE_SIZE; i++) {
+        const plowX = Math.floor((plow.x + i * TILE_SIZE) / TILE_SIZE);
+        if (!isInsideWorld(plowX, plowY) || !isLandOwned(sim.parcels, plowX)) continue;
+
+        const tile = sim.world[plowY][plowX];
+        // Withered crops and weeds are ploughed under
+        if (((tile.type === TILE_TYPE.GRASS || tile.type === TILE_TYPE.DIRT) && !tile.crop) || tile.crop?.withered ||
+            (tile.type === TILE_TYPE.TILLED && tile.weeds)) {
+            setTile(sim, plowX, plowY, {
+                ...tile,
+                type: TILE_TYPE.TILLED,
+                crop: null,
+                weeds: false,
+                ...(tile.crop ? { lastCrop: tile.crop.type } : {}),
+            });
+            spawnParticles(sim, plowX * TILE_SIZE + TILE_SIZE / 2, plowY * TILE_SIZE + TILE_SIZE / 2, 5, '#D2B48C', 1, 3, -48, 48, 400);
+        }
+    }
+};
+
+const applySeeder = (sim) => {
+    const { tractor, seeder } = sim;
+    if (tractor.equipment?.type !== 'seeder' || tractor.vx === 0 || tractor.fuel <= 0) return;
+
+    const cropType = sim.selectedCropType;
+    const seedInventoryKey = getSeedInventoryKey(cropType);
+    const seederY = Math.floor((seeder.y + seeder.height) / TILE_SIZE);
+    let seedsConsumed = 0;
+
+    for (let i = 0; i < seeder.width / TILE_SIZE; i++) {
+        const seederX = Math.floor((seeder.x + i * TILE_SIZE) / TILE_SIZE);
+        if (!isInsideWorld(seederX, seederY) || !isLandOwned(sim.parcels, seederX)) continue;
+
+        const tile = sim.world[seederY][seederX];
+        if (tile.type !== TILE_TYPE.TILLED || tile.crop) continue;
+
+        if (sim.player.inventory[seedInventoryKey] - seedsConsumed > 0) {
+            const crop = createCrop(sim, cropType);
+            if (crop.outOfSeason) emitStatus(sim, `${capitalize(cropType)} is out of season, it won't grow!`, 1500);
+            setTile(sim, seederX, seederY, { ...tile, type: TILE_TYPE.CROP_PLANTED, crop });
+            seedsConsumed++;
+            spawnParticles(sim, seederX * TILE_SIZE + TILE_SIZE / 2, seederY * TILE_SIZE + TILE_SIZE / 2, 3, CROP_DEFINITIONS[cropType].stages[0].color, 2, 4, -18, 18, 600);
+        } else {
+            emitStatus(sim, `No ${cropType} seeds to plant!`, 100);
+        }
+    }
+
+    if (seedsConsumed > 0) {
+        sim.player = {
+            ...sim.player,
+            inventory: { ...sim.player.inventory, [seedInventoryKey]: sim.player.inventory[seedInventoryKey] - seedsConsumed }
+        };
+    }
+};
+
+// The spreader's disc doses the tile under it once as it rolls onto that tile
+const applySpreader = (sim) => {
+    const { tractor, spreader } = sim;
+    if (tractor.equipment?.type !== 'spreader' || tractor.vx === 0 || tractor.fuel <= 0) return;
+
+    const tileX = Math.floor((spreader.x + spreader.width / 2) / TILE_SIZE);
+    const tileY = Math.floor((spreader.y + spreader.height) / TILE_SIZE);
+    if (tileX === spreader.lastSpreadTileX || !isInsideWorld(tileX, tileY)) return;
+    sim.spreader = { ...spreader, lastSpreadTileX: tileX };
+    if (!isLandOwned(sim.parcels, tileX)) return;
+
+    // Skip tiles that can't take a full dose, so fertilizer isn't wasted on rich ground
+    const tile = sim.world[tileY][tileX];
+    if (!tile.soil || tile.soil.fertility > 1 - FERTILIZER_FERTILITY_BOOST) return;
+
+    if (!(sim.player.inventory.fertilizer > 0)) {
+        emitStatus(sim, "No fertilizer to spread!", 1000);
+        return;
+    }
+
+    setTile(sim, tileX, tileY, {
+        ...tile,
+        soil: { ...tile.soil, fertility: Math.min(1, tile.soil.fertility + FERTILIZER_FERTILITY_BOOST) }
+    });
+    sim.player = {
+        ...sim.player,
+        inventory: { ...sim.player.inventory, fertilizer: sim.player.inventory.fertilizer - 1 }
+    };
+    spawnParticles(sim, tileX * TILE_SIZE + TILE_SIZE / 2, tileY * TILE_SIZE, 6, '#F5F5DC', 1, 3, -30, 30, 500);
+};
+
+// The sprayer's boom treats the crop under it once as it rolls onto that tile, killing pests and keeping new ones off
+const applySprayer = (sim) => {
+    const { tractor, sprayer } = sim;
+    if (tractor.equipment?.type !== 'sprayer' || tractor.vx === 0 || tractor.fuel <= 0) return;
+
+    const tileX = Math.floor((sprayer.x + sprayer.width / 2) / TILE_SIZE);
+    const tileY = Math.floor((sprayer.y + sprayer.height) / TILE_SIZE);
+    if (tileX === sprayer.lastSprayTileX || !isInsideWorld(tileX, tileY)) return;
+    sim.sprayer = { ...sprayer, lastSprayTileX: tileX };
+    if (!isLandOwned(sim.parcels, tileX)) return;
+
+    const tile = sim.world[tileY][tileX];
+    if (!tile.crop || tile.crop.withered || tile.crop.sprayed) return;
+
+    if (!(sim.player.inventory.pesticide > 0)) {
+        emitStatus(sim, "No pesticide to spray!", 1000);
+        return;
+    }
+
+    setTile(sim, tileX, tileY, { ...tile, crop: { ...tile.crop, pests: false, sprayed: true } });
+    sim.player = {
+        ...sim.player,
+        inventory: { ...sim.player.inventory, pesticide: sim.player.inventory.pesticide - 1 }
+    };
+    spawnParticles(sim, tileX * TILE_SIZE + TILE_SIZE / 2, tileY * TILE_SIZE, 6, '#B0E0E6', 1, 3, -30, 30, 500);
+};
+
+const applyCombine = (sim) => {
+    const combine = sim.combineHarvester;
+    if (!combine.isInVehicle || combine.vx === 0 || combine.fuel <= 0) return;
+
+    const combineY = Math.floor((combine.y + combine.height) / TILE_SIZE);
+    const headerWidth = TILE_SIZE * 2;
+    let startX, endX;
+
+    if (combine.facing === 'right') {
+        startX = Math.floor((combine.x + combine.width) / TILE_SIZE);
+        endX = Math.floor((combine.x + combine.width + headerWidth) / TILE_SIZE);
+    } else {
+        startX = Math.floor((combine.x - headerWidth) / TILE_SIZE);
+        endX = Math.floor(combine.x / TILE_SIZE);
+    }
+
+    let harvestedAny = false;
+    for (let x = Math.min(startX, endX); x < Math.max(startX, endX); x++) {
+        if (!isInsideWorld(x, combineY) || !isLandOwned(sim.parcels, x)) continue;
+
+        const tile = sim.world[combineY][x];
+        if (!(tile.type === TILE_TYPE.CROP_GROWN && tile.crop && isCropRipe(tile.crop))) continue;
+
+        const cropType = tile.crop.type;
+        const space = sim.player.maxStorage - getProduceCount(sim.player.inventory, cropType);
+        if (space <= 0) {
+            emitStatus(sim, "Storage full! Cannot harvest more.", 1500);
+            break;
+        }
+
+        const harvest = harvestTile(sim, tile);
+        storeProduce(sim, cropType, harvest.grade, Math.min(harvest.amount, space));
+        harvestedAny = true;
+        setTile(sim, x, combineY, harvest.tile);
+        spawnParticles(sim, x * TILE_SIZE + TILE_SIZE / 2, combineY * TILE_SIZE + TILE_SIZE / 2, 8, getCropColor(tile.crop), 3, 7, -60, 60, 600);
+    }
+
+    if (harvestedAny) {
+        emitStatus(sim, "Harvested with combine!", 1500);
+    }
+};
+
+// Rules: Economy
+const buySeeds = (sim, { cropType, quantity }) => {
+    const crop = CROP_DEFINITIONS[cropType];
+    if (!crop) return;
+
+    const player = sim.player;
+    const seedType = getSeedInventoryKey(cropType);
+    const seedCost = crop.seedPrice * quantity;
+    if (player.money < seedCost) {
+        emitStatus(sim, "Not enough money to buy seeds!", 1500);
+        return;
+    }
+
+    sim.player = {
+        ...player,
+        money: player.money - seedCost,
+        inventory: { ...player.inventory, [seedType]: (player.inventory[seedType] || 0) + quantity }
+    };
+    emitStatus(sim, `Bought ${quantity} ${cropType} seeds for $${seedCost}!`, 1500);
+    emitMoneyChange(sim, -seedCost);
+    recordTransaction(sim, LEDGER_CATEGORY.SEEDS, `${quantity} ${crop.label} seeds`, -seedCost, cropType);
+};
+
+const buySupplies = (sim, { supplyType, quantity }) => {
+    const player = sim.player;
+    const cost = SUPPLY_PRICES[supplyType] * quantity;
+    if (player.money < cost) {
+        emitStatus(sim, `Not enough money to buy ${supplyType}!`, 1500);
+        return;
+    }
+
+    sim.player = {
+        ...player,
+        money: player.money - cost,
+        inventory: { ...player.inventory, [supplyType]: (player.inventory[supplyType] || 0) + quantity }
+    };
+    emitStatus(sim, `Bought ${quantity} ${supplyType} for $${cost}!`, 1500);
+    emitMoneyChange(sim, -cost);
+    recordTransaction(sim, LEDGER_CATEGORY.SUPPLIES, `${quantity} ${supplyType}`, -cost);
+};
+
+// Sells the whole stock of one crop (optionally just one grade of it), or of every crop when no type is given, at
+// market prices. Big sales saturate the market for that crop.
+const sellCrops = (sim, { cropType = null, grade = null }) => {
+    const player = sim.player;
+    const inventory = { ...player.inventory };
+    const grades = grade ? [grade] : QUALITY_GRADES;
+    const sales = []; // Recorded in the ledger per crop, so each crop's profit can be told apart
+    let totalSoldValue = 0;
+
+    for (const sellType of cropType ? [cropType] : Object.keys(CROP_DEFINITIONS)) {
+        const stack = { ...(inventory[sellType] || createProduceStack()) };
+        const sold = Object.fromEntries(grades.map(sellGrade => [sellGrade, stack[sellGrade] || 0]));
+        const sale = quoteSale(sim.market, sellType, sold);
+        const units = Object.values(sold).reduce((total, count) => total + count, 0);
+        if (units > 0) sales.push({ cropType: sellType, units, value: Math.round(sale.value * 100) / 100 });
+        totalSoldValue += sale.value;
+        sim.market = sale.market;
+        for (const sellGrade of grades) stack[sellGrade] = 0;
+        inventory[sellType] = stack;
+    }
+    totalSoldValue = Math.round(totalSoldValue * 100) / 100;
+
+    const soldName = `${grade ? `${grade} ` : ''}${cropType || 'crops'}`;
+    if (totalSoldValue === 0) {
+        emitStatus(sim, `No ${soldName} to sell!`, 1000);
+        return;
+    }
+
+    sim.player = { ...player, money: player.money + totalSoldValue, inventory };
+    emitStatus(sim, `Sold all ${soldName} for $${totalSoldValue.toFixed(2)}!`, 1500);
+    emitMoneyChange(sim, totalSoldValue);
+    for (const sale of sales) {
+        const item = `${sale.units} ${grade ? `${grade} ` : ''}${CROP_DEFINITIONS[sale.cropType].label}`;
+        recordTransaction(sim, LEDGER_CATEGORY.CROP_SALES, item, sale.value, sale.cropType);
+    }
+};
+
+const refuel = (sim) => {
+    const vehicleKey = getOccupiedVehicleKey(sim);
+    if (!vehicleKey) {
+        emitStatus(sim, "No vehicle active to refuel!", 1000);
+        return;
+    }
+
+    const vehicle = sim[vehicleKey];
+    sim[vehicleKey] = { ...vehicle, fuel: vehicle.maxFuel };
+    emitStatus(sim, `${capitalize(vehicle.type)} refueled!`, 1500);
+};
+
+const buildSilo = (sim) => {
+    const player = sim.player;
+    if (player.siloBuilt) {
+        emitStatus(sim, "Silo already built!", 1500);
+        return;
+    }
+
+    const cost = STRUCTURE_PRICES.silo;
+    if (player.money < cost) {
+        emitStatus(sim, "Not enough money to build silo!", 1500);
+        return;
+    }
+
+    const siloX = WORLD_WIDTH_PIXELS / 2 - TILE_SIZE * 5;
+    sim.silos = [...sim.silos, {
+        x: siloX,
+        y: getSurfaceY(sim.world, siloX, TILE_SIZE * 5) - TILE_SIZE * 8,
+        width: TILE_SIZE * 5,
+        height: TILE_SIZE * 8
+    }];
+    sim.player = { ...player, money: player.money - cost, maxStorage: player.maxStorage + 200, siloBuilt: true };
+    emitStatus(sim, "Silo built! Max storage increased!", 1500);
+    emitMoneyChange(sim, -cost);
+    recordTransaction(sim, LEDGER_CATEGORY.BUILDINGS, 'Silo', -cost);
+};
+
+const buildSprinkler = (sim) => {
+    const player = sim.player;
+    if (player.isInVehicle) {
+        emitStatus(sim, "Get out of the vehicle to place a sprinkler!", 1500);
+        return;
+    }
+
+    const { tileX, tileY } = getTileUnderEntity(player);
+    if (!isInsideWorld(tileX, tileY) || !sim.world[tileY][tileX].soil) {
+        emitStatus(sim, "Sprinklers must stand on soil!", 1500);
+        return;
+    }
+    if (!requireOwnedLand(sim, tileX)) return;
+    if (sim.sprinklers.some(sprinkler => Math.floor((sprinkler.x + sprinkler.width / 2) / TILE_SIZE) === tileX)) {
+        emitStatus(sim, "There's already a sprinkler here!", 1500);
+        return;
+    }
+
+    const cost = STRUCTURE_PRICES.sprinkler;
+    if (player.money < cost) {
+        emitStatus(sim, "Not enough money to build a sprinkler!", 1500);
+        return;
+    }
+
+    sim.sprinklers = [...sim.sprinklers, {
+        x: tileX * TILE_SIZE + TILE_SIZE * 0.25,
+        y: tileY * TILE_SIZE - TILE_SIZE * 1.5,
+        width: TILE_SIZE * 0.5,
+        height: TILE_SIZE * 1.5
+    }];
+    sim.player = { ...player, money: player.money - cost };
+    emitStatus(sim, "Sprinkler built! It keeps nearby soil watered.", 1500);
+    emitMoneyChange(sim, -cost);
+    recordTransaction(sim, LEDGER_CATEGORY.BUILDINGS, 'Sprinkler', -cost);
+};
+
+const upgradeVehicle = (sim, { vehicleType }) => {
+    const tiers = VEHICLE_UPGRADE_TIERS[vehicleType];
+    const vehicle = sim[vehicleType];
+    if (!tiers || !vehicle) return;
+
+    const label = vehicleType === 'tractor' ? 'Tractor' : 'Combine Harvester';
+    const nextLevel = vehicle.upgradeLevel + 1;
+    if (nextLevel >= tiers.length) {
+        emitStatus(sim, `${label} is already max level!`, 1500);
+        return;
+    }
+
+    const upgradeInfo = tiers[nextLevel];
+    if (sim.player.money < upgradeInfo.cost) {
+        emitStatus(sim, `Not enough money to upgrade ${label}!`, 1500);
+        return;
+    }
+
+    sim[vehicleType] = {
+        ...vehicle,
+        speed: upgradeInfo.speed,
+        maxFuel: upgradeInfo.maxFuel,
+        fuel: upgradeInfo.maxFuel,
+        upgradeLevel: nextLevel,
+    };
+    sim.player = { ...sim.player, money: sim.player.money - upgradeInfo.cost };
+    emitStatus(sim, `${label} upgraded to level ${nextLevel}!`, 1500);
+    emitMoneyChange(sim, -upgradeInfo.cost);
+    recordTransaction(sim, LEDGER_CATEGORY.UPGRADES, `${label} level ${nextLevel}`, -upgradeInfo.cost);
+};
+
+const buyParcel = (sim, { parcelId }) => {
+    const parcel = sim.parcels.find(candidate => candidate.id === parcelId);
+    if (!parcel) return;
+    if (parcel.owned) {
+        emitStatus(sim, "You already own this land!", 1500);
+        return;
+    }
+    if (sim.player.money < parcel.price) {
+        emitStatus(sim, "Not enough money to buy this land!", 1500);
+        return;
+    }
+
+    sim.parcels = sim.parcels.map(candidate => (candidate.id === parcelId ? { ...candidate, owned: true } : candidate));
+    sim.player = { ...sim.player, money: sim.player.money - parcel.price };
+    emitStatus(sim, `Bought parcel #${parcel.id}! Its fields are yours to work.`, 2000);
+    emitMoneyChange(sim, -parcel.price);
+    recordTransaction(sim, LEDGER_CATEGORY.LAND, `Parcel #${parcel.id}`, -parcel.price);
+};
+
+const selectCrop = (sim, { cropType }) => {
+    if (CROP_DEFINITIONS[cropType]) sim.selectedCropType = cropType;
+};
+
+// Rules: Contracts
+const acceptContract = (sim, { contractId }) => {
+    const offer = sim.contracts.offers.find(contract => contract.id === contractId);
+    if (!offer) return;
+    if (sim.contracts.active.length >= MAX_ACTIVE_CONTRACTS) {
+        emitStatus(sim, `You can only take on ${MAX_ACTIVE_CONTRACTS} contracts at a time!`, 1500);
+        return;
+    }
+
+    sim.contracts = {
+        ...sim.contracts,
+        offers: sim.contracts.offers.filter(contract => contract.id !== contractId),
+        active: [...sim.contracts.active, offer],
+    };
+    emitStatus(sim, `Accepted: ${describeContract(offer)}.`, 2000);
+};
+
+// Hands over as much of the contracted crop as the player has (at the buyer's grade or better)
+const deliverContract = (sim, { contractId }) => {
+    const contract = sim.contracts.active.find(active => active.id === contractId);
+    if (!contract) return;
+
+    const buyer = CONTRACT_BUYERS[contract.buyerId];
+    const counts = getDeliverableCounts(sim.player.inventory, contract);
+    const amount = Object.values(counts).reduce((total, count) => total + count, 0);
+    if (amount === 0) {
+        emitStatus(sim, `No ${buyer.minGrade} or better ${contract.cropType} to deliver!`, 1500);
+        return;
+    }
+
+    const stack = { ...sim.player.inventory[contract.cropType] };
+    for (const [grade, count] of Object.entries(counts)) stack[grade] -= count;
+    sim.player = { ...sim.player, inventory: { ...sim.player.inventory, [contract.cropType]: stack } };
+
+    const delivered = contract.delivered + amount;
+    if (delivered < contract.quantity) {
+        sim.contracts = {
+            ...sim.contracts,
+            active: sim.contracts.active.map(active => (active.id === contractId ? { ...active, delivered } : active)),
+        };
+        emitStatus(sim, `Delivered ${amount} ${contract.cropType} to ${buyer.name} (${delivered}/${contract.quantity}).`, 1500);
+        return;
+    }
+
+    // Whatever is still owed to the buyer from an earlier penalty comes out of the reward
+    const withheld = Math.min(sim.contracts.owed[contract.buyerId], contract.reward);
+    const paid = contract.reward - withheld;
+    sim.contracts = {
+        ...sim.contracts,
+        active: sim.contracts.active.filter(active => active.id !== contractId),
+        reputation: {
+            ...sim.contracts.reputation,
+            [contract.buyerId]: Math.min(100, sim.contracts.reputation[contract.buyerId] + REPUTATION_FOR_COMPLETING),
+        },
+        owed: { ...sim.contracts.owed, [contract.buyerId]: sim.contracts.owed[contract.buyerId] - withheld },
+    };
+    sim.player = { ...sim.player, money: sim.player.money + paid };
+    emitStatus(sim, withheld > 0
+        ? `Contract complete! ${buyer.name} paid $${paid.toFixed(2)}, keeping $${withheld.toFixed(2)} you owed.`
+        : `Contract complete! ${buyer.name} paid $${contract.reward}.`, 2000);
+    emitMoneyChange(sim, paid);
+    recordTransaction(sim, LEDGER_CATEGORY.CONTRACTS, `${contract.quantity} ${contract.cropType} for ${buyer.name}`, contract.reward, contract.cropType);
+    if (withheld > 0) recordTransaction(sim, LEDGER_CATEGORY.PENALTIES, `Owed penalty kept back by ${buyer.name}`, -withheld);
+};
+
+// Each morning missed deadlines are settled and the board is filled with fresh offers
+const updateContracts = (sim) => {
+    if (sim.contracts.day >= sim.day) return;
+
+    const recovery = (sim.day - sim.contracts.day) * REPUTATION_RECOVERY_PER_DAY;
+    const reputation = Object.fromEntries(Object.entries(sim.contracts.reputation).map(([buyerId, value]) => [
+        buyerId,
+        value < STARTING_REPUTATION ? Math.min(STARTING_REPUTATION, value + recovery) : value,
+    ]));
+    let contracts = { ...sim.contracts, day: sim.day, offers: [], reputation };
+    for (const contract of contracts.active.filter(active => active.deadlineDay < sim.day)) {
+        const buyer = CONTRACT_BUYERS[contract.buyerId];
+        const charged = Math.min(contract.penalty, Math.max(0, sim.player.money));
+        const unpaid = contract.penalty - charged;
+        contracts = {
+            ...contracts,
+            reputation: {
+                ...contracts.reputation,
+                [contract.buyerId]: Math.max(0, contracts.reputation[contract.buyerId] - REPUTATION_FOR_FAILING),
+            },
+            owed: { ...contracts.owed, [contract.buyerId]: contracts.owed[contract.buyerId] + unpaid },
+        };
+        emitStatus(sim, unpaid > 0
+            ? `Missed the ${buyer.name} contract: $${contract.penalty} penalty, $${unpaid.toFixed(2)} of it kept back from their next reward.`
+            : `Missed the ${buyer.name} contract: $${contract.penalty} penalty.`, 2500);
+        if (charged > 0) {
+            sim.player = { ...sim.player, money: sim.player.money - charged };
+            emitMoneyChange(sim, -charged);
+            const item = unpaid > 0 ? `Missed ${buyer.name} contract (part of the $${contract.penalty} penalty)` : `Missed ${buyer.name} contract`;
+            recordTransaction(sim, LEDGER_CATEGORY.PENALTIES, item, -charged, contract.cropType);
+        }
+    }
+    contracts.active = contracts.active.filter(active => active.deadlineDay >= sim.day);
+
+    while (contracts.offers.length < CONTRACT_BOARD_SIZE) {
+        const offer = createContractOffer(contracts, sim.day, sim);
+        if (!offer) break;
+        contracts = { ...contracts, nextId: contracts.nextId + 1, offers: [...contracts.offers, offer] };
+    }
+    sim.contracts = contracts;
+};
+
+// Rules: Bank
+const takeLoan = (sim, { amount }) => {
+    if (!LOAN_AMOUNTS.includes(amount)) return;
+    if (sim.day < sim.bank.creditFrozenUntilDay) {
+        emitStatus(sim, `The bank won't lend to you again until day ${sim.bank.creditFrozenUntilDay}!`, 2000);
+        return;
+    }
+    const availableCredit = getAvailableCredit(sim);
+    if (amount > availableCredit) {
+        emitStatus(sim, `Not enough credit! The bank will lend you $${Math.floor(availableCredit)} more.`, 2000);
+        return;
+    }
+
+    const loan = {
+        id: sim.bank.nextId,
+        principal: amount,
+        balance: amount,
+        installment: getLoanInstallment(amount),
+        nextPaymentDay: sim.day + 1,
+        missedPayments: 0,
+    };
+    sim.bank = { ...sim.bank, nextId: sim.bank.nextId + 1, loans: [...sim.bank.loans, loan] };
+    sim.player = { ...sim.player, money: sim.player.money + amount };
+    emitStatus(sim, `Borrowed $${amount}! Repay $${loan.installment.toFixed(2)} a day for ${LOAN_TERM_DAYS} days.`, 2500);
+    emitMoneyChange(sim, amount);
+    recordTransaction(sim, LEDGER_CATEGORY.LOANS, `Loan #${loan.id}`, amount);
+};
+
+// Pays off the whole remaining balance of a loan, saving the interest still to come
+const repayLoan = (sim, { loanId }) => {
+    const loan = sim.bank.loans.find(active => active.id === loanId);
+    if (!loan) return;
+    if (sim.player.money < loan.balance) {
+        emitStatus(sim, `Not enough money to repay loan #${loan.id} ($${loan.balance.toFixed(2)})!`, 1500);
+        return;
+    }
+
+    sim.bank = { ...sim.bank, loans: sim.bank.loans.filter(active => active.id !== loanId) };
+    sim.player = { ...sim.player, money: sim.player.money - loan.balance };
+    emitStatus(sim, `Loan #${loan.id} repaid!`, 1500);
+    emitMoneyChange(sim, -loan.balance);
+    recordTransaction(sim, LEDGER_CATEGORY.LOANS, `Loan #${loan.id} repaid early`, -loan.balance);
+};
+
+// Charges one day's installment on a loan, or books it as missed. Returns the loan as it stands afterwards, or null
+// once it is paid off.
+const chargeInstallment = (sim, loan, day) => {
+    const interest = loan.balance * LOAN_DAILY_INTEREST;
+    const principal = Math.min(loan.balance, loan.installment - interest);
+    const payment = interest + principal;
+    if (sim.player.money < payment) {
+        const missedPayments = loan.missedPayments + 1;
+        emitStatus(sim, `Missed a $${payment.toFixed(2)} payment on loan #${loan.id} (${missedPayments}/${MAX_MISSED_LOAN_PAYMENTS} in a row)!`, 2500);
+        return {
+            ...loan,
+            balance: loan.balance + interest + loan.installment * LOAN_LATE_FEE_SHARE,
+            nextPaymentDay: day + 1,
+            missedPayments,
+        };
+    }
+
+    sim.player = { ...sim.player, money: sim.player.money - payment };
+    emitMoneyChange(sim, -payment);
+    recordTransaction(sim, LEDGER_CATEGORY.INTEREST, `Loan #${loan.id} interest`, -interest);
+    recordTransaction(sim, LEDGER_CATEGORY.LOANS, `Loan #${loan.id} installment`, -principal);
+    const balance = loan.balance - principal;
+    if (balance < 0.01) {
+        emitStatus(sim, `Loan #${loan.id} paid off!`, 2000);
+        return null;
+    }
+    return { ...loan, balance, nextPaymentDay: day + 1, missedPayments: 0 };
+};
+
+// Each morning the installments that have fallen due are charged; too many missed in a row bankrupt the farm.
+// Days that pass at once (such as offline catch-up on load) are billed one by one, oldest first.
+const updateBank = (sim) => {
+    if (sim.bank.day >= sim.day) return;
+
+    let loans = sim.bank.loans;
+    let bankrupt = false;
+    for (let day = Math.min(sim.day, ...loans.map(loan => loan.nextPaymentDay)); day <= sim.day && !bankrupt; day++) {
+        loans = loans
+            .map(loan => (loan.nextPaymentDay <= day ? chargeInstallment(sim, loan, day) : loan))
+            .filter(Boolean);
+        bankrupt = loans.some(loan => loan.missedPayments >= MAX_MISSED_LOAN_PAYMENTS);
+    }
+
+    sim.bank = { ...sim.bank, day: sim.day, loans, bankrupt };
+    if (bankrupt) emitStatus(sim, "Bankrupt! The bank has frozen the farm.", 4000);
+};
+
+// Writes off all debt in exchange for the vehicle upgrades, and tops the player's cash back up
+const acceptBailout = (sim) => {
+    if (!sim.bank.bankrupt || isGameOver(sim.bank)) return;
+
+    for (const vehicleKey of VEHICLE_KEYS) {
+        const baseTier = VEHICLE_UPGRADE_TIERS[vehicleKey][0];
+        const vehicle = sim[vehicleKey];
+        sim[vehicleKey] = { ...vehicle, speed: baseTier.speed, maxFuel: baseTier.maxFuel, fuel: Math.min(vehicle.fuel, baseTier.maxFuel), upgradeLevel: 0 };
+    }
+    const writtenOff = getTotalDebt(sim.bank);
+    sim.bank = {
+        ...sim.bank,
+        loans: [],
+        bankrupt: false,
+        bailouts: sim.bank.bailouts + 1,
+        creditFrozenUntilDay: sim.day + BAILOUT_CREDIT_FREEZE_DAYS,
+    };
+    emitStatus(sim, `Bailed out: $${writtenOff.toFixed(2)} of debt written off and your vehicle upgrades seized.`, 4000);
+
+    if (sim.player.money < BAILOUT_MONEY) {
+        const grant = BAILOUT_MONEY - sim.player.money;
+        sim.player = { ...sim.player, money: BAILOUT_MONEY };
+        emitMoneyChange(sim, grant);
+        recordTransaction(sim, LEDGER_CATEGORY.LOANS, 'Bailout', grant);
+    }
+};
+
+const ACTION_HANDLERS = {
+    [SIM_ACTION.ENTER_EXIT_VEHICLE]: toggleVehicle,
+    [SIM_ACTION.HITCH_ATTACHMENT]: toggleHitch,
+    [SIM_ACTION.TILL_SOIL]: tillSoil,
+    [SIM_ACTION.PLANT_CROP]: plantCrop,
+    [SIM_ACTION.HARVEST_CROP]: harvestCrop,
+    [SIM_ACTION.SELECT_CROP]: selectCrop,
+    [SIM_ACTION.BUY_SEEDS]: buySeeds,
+    [SIM_ACTION.BUY_SUPPLIES]: buySupplies,
+    [SIM_ACTION.SELL_CROPS]: sellCrops,
+    [SIM_ACTION.REFUEL]: refuel,
+    [SIM_ACTION.BUILD_SILO]: buildSilo,
+    [SIM_ACTION.BUILD_SPRINKLER]: buildSprinkler,
+    [SIM_ACTION.WATER_CROP]: waterCrop,
+    [SIM_ACTION.HOE]: hoe,
+    [SIM_ACTION.REFILL_WATER]: refillWater,
+    [SIM_ACTION.UPGRADE_VEHICLE]: upgradeVehicle,
+    [SIM_ACTION.ACCEPT_CONTRACT]: acceptContract,
+    [SIM_ACTION.DELIVER_CONTRACT]: deliverContract,
+    [SIM_ACTION.BUY_PARCEL]: buyParcel,
+    [SIM_ACTION.TAKE_LOAN]: takeLoan,
+    [SIM_ACTION.REPAY_LOAN]: repayLoan,
+    [SIM_ACTION.ACCEPT_BAILOUT]: acceptBailout,
+};
+
+// Rules: Weather
+const advanceWeather = (sim, hours) => {
+    // Keep the forecast full; each queued spell's season is taken from the day it is due to start
+    let hoursAhead = sim.gameTime + sim.weather.hours + sim.weatherForecast.reduce((sum, spell) => sum + spell.hours, 0);
+    while (sim.weatherForecast.length < WEATHER_FORECAST_LENGTH) {
+        const previousType = sim.weatherForecast.length > 0 ? sim.weatherForecast[sim.weatherForecast.length - 1].type : sim.weather.type;
+        const spell = createNextWeatherSpell(sim, previousType, getCalendarDate(sim.day + Math.floor(hoursAhead / 24)).season);
+        sim.weatherForecast = [...sim.weatherForecast, spell];
+        hoursAhead += spell.hours;
+    }
+
+    const hoursLeft = sim.weather.hours - hours;
+    if (hoursLeft > 0) {
+        sim.weather = { ...sim.weather, hours: hoursLeft };
+        return;
+    }
+
+    const [nextSpell, ...forecast] = sim.weatherForecast;
+    if (nextSpell.type !== sim.weather.type) emitStatus(sim, `The weather turns: ${WEATHER_LABELS[nextSpell.type]}`, 2000);
+    sim.weather = nextSpell;
+    sim.weatherForecast = forecast;
+};
+
+// Rain and drought change the moisture of each column's exposed soil, frost kills weeds and may kill young plants,
+// and storm gusts flatten mature lodging crops (wheat)
+const applyWeather = (sim, hours) => {
+    const weather = sim.weather.type;
+
+    if (weather === WEATHER.RAIN || weather === WEATHER.THUNDERSTORM || weather === WEATHER.DROUGHT) {
+        const moistureChange = weather === WEATHER.DROUGHT ? -DROUGHT_DRYING_PER_HOUR * hours : RAIN_MOISTURE_PER_HOUR[weather] * hours;
+        const surfaceRows = sim.world[0].map((_, x) => getSurfaceRow(sim.world, x));
+        sim.world = sim.world.map((row, y) => (surfaceRows.includes(y) ? row.map((tile, x) => {
+            if (y !== surfaceRows[x] || !tile.soil) return tile;
+            const moisture = moistureChange > 0
+                ? Math.max(tile.soil.moisture, Math.min(RAIN_MAX_MOISTURE, tile.soil.moisture + moistureChange))
+                : Math.max(0, tile.soil.moisture + moistureChange);
+            return { ...tile, soil: { ...tile.soil, moisture } };
+        }) : row));
+    }
+
+    if (weather === WEATHER.FROST) {
+        const isFrostTender = (tile) => tile.crop && !tile.crop.withered && tile.crop.stage < getRipeStage(tile.crop.type) - 1;
+        let killed = 0;
+        if (sim.world.some(row => row.some(isFrostTender))) {
+            sim.world = sim.world.map(row => (row.some(isFrostTender)
+                ? row.map(tile => {
+                    if (!isFrostTender(tile) || nextRandom(sim) >= hours * FROST_KILLS_PER_HOUR) return tile;
+                    killed++;
+                    return { ...tile, crop: { ...tile.crop, withered: true } };
+                })
+                : row));
+        }
+        if (killed > 0) emitStatus(sim, "Frost killed some of your young plants!", 2000);
+        if (sim.world.some(row => row.some(tile => tile.weeds))) {
+            sim.world = sim.world.map(row => (row.some(tile => tile.weeds)
+                ? row.map(tile => (tile.weeds ? { ...tile, weeds: false } : tile))
+                : row));
+        }
+    }
+
+    if (weather === WEATHER.THUNDERSTORM && nextRandom(sim) < hours * STORM_FLATTENS_PER_HOUR) {
+        const tileX = Math.floor(nextRandom(sim) * WORLD_WIDTH_TILES);
+        const tileY = getSurfaceRow(sim.world, tileX);
+        const tile = isInsideWorld(tileX, tileY) ? sim.world[tileY][tileX] : null;
+        if (tile && tile.type === TILE_TYPE.CROP_GROWN && CROP_DEFINITIONS[tile.crop.type].lodging && !tile.crop.flattened) {
+            setTile(sim, tileX, tileY, { ...tile, crop: { ...tile.crop, flattened: true } });
+            emitStatus(sim, `The storm flattened some of your ${tile.crop.type}!`, 1500);
+        }
+    }
+};
+
+// Rules: Weeds, Pests & Disease
+// Outbreaks land on the surface tile of a random column; spreading picks a random affected surface tile and passes the
+// threat on to one of the columns next to it
+const spreadFieldThreats = (sim, hours) => {
+    const surfaceRows = sim.world[0].map((_, x) => getSurfaceRow(sim.world, x));
+    const surfaceTile = (x) => (x >= 0 && x < WORLD_WIDTH_TILES ? sim.world[surfaceRows[x]]?.[x] : null);
+
+    const tryOutbreak = (ratePerHour, canCatch, infect) => {
+        if (!(nextRandom(sim) < hours * ratePerHour)) return null;
+        const x = Math.floor(nextRandom(sim) * WORLD_WIDTH_TILES);
+        const tile = surfaceTile(x);
+        if (!tile || !canCatch(tile, x)) return null;
+        setTile(sim, x, surfaceRows[x], infect(tile));
+        return tile;
+    };
+
+    const trySpread = (ratePerHour, isAffected, canCatch, infect) => {
+        const sources = [];
+        for (let x = 0; x < WORLD_WIDTH_TILES; x++) {
+            const tile = surfaceTile(x);
+            if (tile && isAffected(tile)) sources.push(x);
+        }
+        if (sources.length === 0 || !(nextRandom(sim) < hours * ratePerHour * sources.length)) return;
+
+        const from = sources[Math.floor(nextRandom(sim) * sources.length)];
+        const to = from + (nextRandom(sim) < 0.5 ? -1 : 1);
+        const target = surfaceTile(to);
+        if (target && canCatch(target, to, surfaceTile(from))) setTile(sim, to, surfaceRows[to], infect(target));
+    };
+
+    const isLiveCrop = (tile) => tile.crop && !tile.crop.withered;
+    // Land beyond the farm's parcels is left to itself, so weeds there would be out of reach of the hoe
+    const canGrowWeeds = (tile, x) => tile.soil && !tile.weeds && tile.type !== TILE_TYPE.WATER && tile.type !== TILE_TYPE.ROCK &&
+        isLandOwned(sim.parcels, x);
+    const addWeeds = (tile) => ({ ...tile, weeds: true });
+    const addPests = (tile) => ({ ...tile, crop: { ...tile.crop, pests: true } });
+    const addDisease = (tile) => ({ ...tile, crop: { ...tile.crop, diseased: true } });
+    const canCatchPests = (tile) => isLiveCrop(tile) && !tile.crop.pests && !tile.crop.sprayed;
+    const canCatchDisease = (tile) => isLiveCrop(tile) && !tile.crop.diseased && nextRandom(sim) < getDiseaseRisk(tile);
+
+    // Weeds only take hold by themselves on ground nobody is growing anything on, and seldom creep into a tended crop
+    tryOutbreak(WEED_SPROUTS_PER_HOUR, (tile, x) => canGrowWeeds(tile, x) && !tile.crop, addWeeds);
+    trySpread(
+        WEED_SPREAD_PER_HOUR,
+        (tile) => tile.weeds,
+        (tile, x) => canGrowWeeds(tile, x) && (!isLiveCrop(tile) || nextRandom(sim) < WEED_CROP_SPREAD_CHANCE),
+        addWeeds
+    );
+
+    const pestTile = tryOutbreak(PEST_OUTBREAKS_PER_HOUR[getCalendarDate(sim.day).season], canCatchPests, addPests);
+    if (pestTile) emitStatus(sim, `Pests are attacking your ${pestTile.crop.type}!`, 1500);
+    trySpread(PEST_SPREAD_PER_HOUR, (tile) => isLiveCrop(tile) && tile.crop.pests, canCatchPests, addPests);
+
+    const isWet = sim.weather.type === WEATHER.RAIN || sim.weather.type === WEATHER.THUNDERSTORM;
+    const diseaseTile = tryOutbreak(DISEASE_OUTBREAKS_PER_HOUR * (isWet ? 2 : 1), canCatchDisease, addDisease);
+    if (diseaseTile) emitStatus(sim, `Disease has broken out in your ${diseaseTile.crop.type}!`, 2000);
+    trySpread(
+        DISEASE_SPREAD_PER_HOUR,
+        (tile) => isLiveCrop(tile) && tile.crop.diseased,
+        (tile, x, source) => tile.crop?.type === source.crop.type && canCatchDisease(tile),
+        addDisease
+    );
+};
+
+// Rules: Market
+// Saturation wears off hour by hour, and each new day moves the price trends
+const updateMarket = (sim, hours) => {
+    const { crops } = sim.market;
+    if (Object.values(crops).some(entry => entry.saturation > 0)) {
+        sim.market = {
+            ...sim.market,
+            crops: Object.fromEntries(Object.entries(crops).map(([cropType, entry]) => (
+                [cropType, { ...entry, saturation: Math.max(0, entry.saturation - MARKET_RECOVERY_PER_HOUR * hours) }]
+            ))),
+        };
+    }
+
+    // A save that slept through several days only needs the last MARKET_HISTORY_DAYS of them replayed
+    if (sim.day - sim.market.day > MARKET_HISTORY_DAYS) {
+        sim.market = { ...sim.market, day: sim.day - MARKET_HISTORY_DAYS };
+    }
+    while (sim.market.day < sim.day) {
+        sim.market = driftMarket(sim.market, sim);
+    }
+};
+
+// Rules: Time, Sky & Effects
+const advanceClock = (sim, hours) => {
+    const nextTime = sim.gameTime + hours;
+    sim.day += Math.floor(nextTime / 24);
+    sim.gameTime = nextTime % 24;
+};
+
+const updateClouds = (sim, seconds) => {
+    const lightFactor = getAmbientLightFactor(sim.gameTime, getCalendarDate(sim.day).season);
+    sim.clouds = sim.clouds.map(cloud => {
+        let newX = cloud.x + cloud.speed * seconds;
+        if (newX > WORLD_WIDTH_PIXELS) {
+            newX = -cloud.width;
+        }
+        return { ...cloud, x: newX, opacity: 0.8 * lightFactor };
+    });
+};
+
+const updateSunMoonPositions = (sim) => {
+    const horizonY = GROUND_LEVEL_ROW * TILE_SIZE;
+    const peakY = TILE_SIZE * 2;
+    const amplitude = horizonY - peakY;
+    const gameTime = toSolarTime(sim.gameTime, getCalendarDate(sim.day).season); // Longer days in summer
+
+    const sunAngle = (gameTime / 24) * Math.PI * 2;
+    const sunY = horizonY - amplitude * Math.sin(sunAngle - Math.PI / 2); // On the horizon at 06:00 and 18:00, highest at noon
+    sim.sunState = { ...sim.sunState, x: (gameTime / 24) * WORLD_WIDTH_PIXELS, y: sunY, visible: sunY < horizonY + sim.sunState.radius / 2 };
+
+    const moonTime = (gameTime + 12) % 24;
+    const moonAngle = (moonTime / 24) * Math.PI * 2;
+    const moonY = horizonY - amplitude * Math.sin(moonAngle - Math.PI / 2);
+    sim.moonState = { ...sim.moonState, x: (moonTime / 24) * WORLD_WIDTH_PIXELS, y: moonY, visible: moonY < horizonY + sim.moonState.radius / 2 };
+};
+
+const FLYING_OBJECT_INTERVAL_MIN = 10000;
+const FLYING_OBJECT_INTERVAL_MAX = 30000;
+
+const spawnFlyingObjects = (sim, dt) => {
+    sim.nextFlyingObjectIn -= dt;
+    if (sim.nextFlyingObjectIn > 0) return;
+
+    sim.nextFlyingObjectIn = nextRandom(sim) * (FLYING_OBJECT_INTERVAL_MAX - FLYING_OBJECT_INTERVAL_MIN) + FLYING_OBJECT_INTERVAL_MIN;
+    const type = nextRandom(sim);
+    const startX = nextRandom(sim) < 0.5 ? -TILE_SIZE * 5 : WORLD_WIDTH_PIXELS + TILE_SIZE * 5;
+    const direction = startX < 0 ? 1 : -1;
+    const baseSkyY = nextRandom(sim) * (WORLD_HEIGHT_PIXELS / 3);
+
+    if (type < 0.5) {
+        sim.birds = [...sim.birds, {
+            x: startX, y: baseSkyY, speed: (nextRandom(sim) * 30 + 60) * direction,
+            width: TILE_SIZE * 1.5, height: TILE_SIZE * 0.8, wingState: 0, type: 'bird'
+        }];
+    } else if (type < 0.8) {
+        sim.planes = [...sim.planes, {
+            x: startX, y: baseSkyY + TILE_SIZE * 3, speed: (nextRandom(sim) * 48 + 120) * direction,
+            width: TILE_SIZE * 4, height: TILE_SIZE * 1.5, type: 'plane'
+        }];
+    } else {
+        sim.balloons = [...sim.balloons, {
+            x: startX, y: baseSkyY + TILE_SIZE * 6, speed: (nextRandom(sim) * 18 + 30) * direction,
+            width: TILE_SIZE * 2.5, height: TILE_SIZE * 3, type: 'balloon'
+        }];
+    }
+};
+
+const isOffscreen = (flyer) => (flyer.speed > 0 && flyer.x > WORLD_WIDTH_PIXELS + flyer.width) || (flyer.speed < 0 && flyer.x < -flyer.width);
+
+// Speeds are in pixels per second; tick-based animation phases are fine since ticks are fixed length
+const updateFlyingObjects = (sim, seconds) => {
+    sim.birds = sim.birds
+        .map((bird, i) => ({ ...bird, x: bird.x + bird.speed * seconds, wingState: (Math.floor(sim.tick / 5) + i) % 2 }))
+        .filter(bird => !isOffscreen(bird));
+    sim.planes = sim.planes
+        .map(plane => ({ ...plane, x: plane.x + plane.speed * seconds }))
+        .filter(plane => !isOffscreen(plane));
+    sim.balloons = sim.balloons
+        .map((balloon, i) => ({ ...balloon, x: balloon.x + balloon.speed * seconds, y: balloon.y + Math.sin(sim.tick * 0.05 + i) * 6 * seconds }))
+        .filter(balloon => !isOffscreen(balloon));
+};
+
+const updateParticles = (sim, dt) => {
+    if (sim.particles.length === 0) return;
+
+    sim.particles = sim.particles
+        .filter(p => p.age + dt <= p.lifetime)
+        .map(p => {
+            const vy = p.vy + GRAVITY * 0.1 * (dt / 1000);
+            const age = p.age + dt;
+            return { ...p, x: p.x + p.vx * (dt / 1000), y: p.y + vy * (dt / 1000), vy, age, opacity: 1 - (age / p.lifetime) };
+        });
+};
+
+// Advances the simulation by one tick
+export const step = (state, input = EMPTY_SIM_INPUT, dt = SIM_TICK_MS) => {
+    const sim = { ...state, tick: state.tick + 1, events: [] };
+    const keys = input.keys || EMPTY_SIM_INPUT.keys;
+    const seconds = dt / 1000;
+    const gameHours = dt * REAL_MS_TO_GAME_HOURS;
+
+    for (const action of input.actions || []) {
+        const handler = ACTION_HANDLERS[action.type];
+        // A bankrupt farm stands still, and the only thing left to do is accept a bailout (see Bank)
+        if (handler && (!sim.bank.bankrupt || action.type === SIM_ACTION.ACCEPT_BAILOUT)) handler(sim, action);
+    }
+    if (sim.bank.bankrupt) return sim;
+
+    applyPlayerInput(sim, keys);
+    for (const vehicleKey of VEHICLE_KEYS) applyVehicleInput(sim, vehicleKey, keys, seconds);
+    applyPhysics(sim, seconds);
+
+    applyPlow(sim);
+    applySeeder(sim);
+    applySpreader(sim);
+    applySprayer(sim);
+    applyCombine(sim);
+
+    advanceClock(sim, gameHours);
+    advanceWeather(sim, gameHours);
+    applyWeather(sim, gameHours);
+    spreadFieldThreats(sim, gameHours);
+    updateMarket(sim, gameHours);
+    updateContracts(sim);
+    updateBank(sim);
+    sim.world = advanceCropGrowth(sim.world, gameHours, sim.sprinklers);
+
+    updateClouds(sim, seconds);
+    updateSunMoonPositions(sim);
+    spawnFlyingObjects(sim, dt);
+    updateFlyingObjects(sim, seconds);
+    updateParticles(sim, dt);
+
+    return sim;
+};
+
+const lerpPosition = (from, to, alpha) => (from === to ? to : {
+    ...to,
+    x: from.x + (to.x - from.x) * alpha,
+    y: from.y + (to.y - from.y) * alpha,
+});
+
+// Blends entity positions between the last two ticks for smooth rendering (alpha in [0, 1)).
+// Only used for drawing; the simulation always continues from the latest tick.
+export const interpolateSimState = (previous, current, alpha) => {
+    if (!previous || previous === current) return current;
+
+    const state = { ...current };
+    for (const entityKey of ['player', ...VEHICLE_KEYS, ...ATTACHMENT_KEYS]) {
+        state[entityKey] = lerpPosition(previous[entityKey], current[entityKey], alpha);
+    }
+    return state;
+};
+
+// Maps raw keyboard state (lower-cased key names) to simulation input keys
+export const getSimInputKeys = (keys) => ({
+    left: !!(keys['a'] || keys['arrowleft']),
+    right: !!(keys['d'] || keys['arrowright']),
+    jump: !!(keys['w'] || keys['arrowup']),
+});
+
+// --- Input Recording & Replay ---
+// A recording is a snapshot of the full simulation state plus the input of every tick after it, which is all
+// step() needs to reproduce a session exactly. Only ticks where the held keys changed or actions happened are
+// stored. Recordings are tied to the game rules of the build that made them, so they aren't migrated like saves.
+export const REPLAY_FORMAT_VERSION = 1;
+
+export const REPLAY_MODE = {
+    OFF: 'off',
+    RECORDING: 'recording',
+    REPLAYING: 'replaying',
+};
+
+const isSameSimKeys = (a, b) => a.left === b.left && a.right === b.right && a.jump === b.jump;
+
+export const createInputRecording = (sim) => ({
+    formatVersion: REPLAY_FORMAT_VERSION,
+    startTick: sim.tick,
+    endTick: null, // Set when recording stops
+    initialState: JSON.parse(JSON.stringify({ ...sim, events: [] })),
+    inputs: [], // [{ tick, keys, actions }]
+});
+
+// Adds the input step() is about to receive for a tick. Appends in place, since recordings can grow long.
+export const appendRecordedInput = (recording, tick, input) => {
+    const lastEntry = recording.inputs[recording.inputs.length - 1];
+    const heldKeys = lastEntry ? lastEntry.keys : EMPTY_SIM_INPUT.keys;
+    if (input.actions.length === 0 && isSameSimKeys(heldKeys, input.keys)) return;
+
+    recording.inputs.push({ tick, keys: { ...input.keys }, actions: input.actions.map(action => ({ ...action })) });
+};
+
+export const createReplayCursor = () => ({ index: 0, keys: EMPTY_SIM_INPUT.keys });
+
+// Returns the recorded input for a tick, and the cursor to read the following tick with
+export const readRecordedInput = (recording, tick, cursor) => {
+    let index = cursor.index;
+    while (index < recording.inputs.length && recording.inputs[index].tick < tick) index++;
+
+    const entry = recording.inputs[index];
+    if (entry && entry.tick === tick) {
+        return { input: { keys: entry.keys, actions: entry.actions }, cursor: { index: index + 1, keys: entry.keys } };
+    }
+    return { input: { keys: cursor.keys, actions: [] }, cursor: { index, keys: cursor.keys } };
+};
+
+// Plays a whole recording headlessly and returns the final state (e.g. to compare in a regression test)
+export const runInputRecording = (recording) => {
+    let state = recording.initialState;
+    let cursor = createReplayCursor();
+    while (state.tick < recording.endTick) {
+        const recorded = readRecordedInput(recording, state.tick, cursor);
+        cursor = recorded.cursor;
+        state = step(state, recorded.input, SIM_TICK_MS);
+    }
+    return state;
+};
+
+// Checks the shape of a recording loaded from a file
+export const validateInputRecording = (data) => {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw createSaveDataError("Replay is not an object.");
+    }
+    if (data.formatVersion !== REPLAY_FORMAT_VERSION) {
+        throw createSaveDataError(`Unsupported replay format ${data.formatVersion}.`);
+    }
+
+    const { initialState, inputs } = data;
+    if (!initialState || !Array.isArray(initialState.world) || initialState.world.length !== WORLD_HEIGHT_TILES ||
+        !Number.isInteger(initialState.tick) || !isValidRngState(initialState.rngState)) {
+        throw createSaveDataError("Replay has no valid starting state.");
+    }
+    if (!Number.isInteger(data.endTick) || data.endTick < initialState.tick) {
+        throw createSaveDataError("Replay has no valid end tick.");
+    }
+    if (!Array.isArray(inputs) || inputs.some(entry => !entry || !Number.isInteger(entry.tick) || !entry.keys || !Array.isArray(entry.actions))) {
+        throw createSaveDataError("Replay inputs are malformed.");
+    }
+    return { ...data, startTick: initialState.tick };
+};
+
+// --- SVG Icons (previously in assets/icons.js) ---
+export const WheatIcon = ({ size = 16, color = '#FFD700' }) => (
+    <svg width={size} height={size} viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+        <path d="M12 2L12 22M12 2L15 6M12 2L9 6M12 22L9 18M12 22L15 18" stroke={color} strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+        <path d="M10 10C10 11.1046 10.8954 12 12 12C13.1046 12 14 11.1046 14 10C14 8.89543 13.1046 8 12 8C10.8954 8 10 8.89543 10 10Z" fill={color}/>
+    </svg>
+);
+
+export const CornIcon = ({ size = 16, color = '#FFD700' }) => (
+    <svg width={size} height={size} viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+        <path d="M12 2V22M12 2C10 2 9 4 9 6C9 8 10 10 12 10C14 10 15 8 15 6C15 4 14 2 12 2Z" stroke={color} strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+        <path d="M12 10C10 10 9 12 9 14C9 16 10 18 12 18C14 18 15 16 15 14C15 12 14 10 12 10Z" fill={color}/>
+        <path d="M12 18C10 18 9 20 9 22H15C15 20 14 18 12 18Z" fill={color}/>
+    </svg>
+);
+
+export const PotatoIcon = ({ size = 16, color = '#A0522D' }) => (
+    <svg width={size} height={size} viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+        <ellipse cx="12" cy="12" rx="8" ry="6" fill={color}/>
+        <circle cx="8" cy="10" r="1.5" fill="#8B4513"/>
+        <circle cx="16" cy="14" r="1.5" fill="#8B4513"/>
+        <circle cx="10" cy="16" r="1" fill="#8B4513"/>
+    </svg>
+);
+
+export const TomatoIcon = ({ size = 16, color = '#E53935' }) => (
+    <svg width={size} height={size} viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+        <circle cx="12" cy="14" r="8" fill={color}/>
+        <path d="M12 6L9 3M12 6L15 3M12 6L8 7M12 6L16 7" stroke="#228B22" strokeWidth="2" strokeLinecap="round"/>
+    </svg>
+);
+
+export const SeedIcon = ({ size = 16, color = '#8B4513' }) => (
+    <svg width={size} height={size} viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+        <path d="M12 2L10 6L12 10L14 6L12 2Z" fill={color} stroke="#5C4033" strokeWidth="1"/>
+        <path d="M12 10L10 14L12 18L14 14L12 10Z" fill={color} stroke="#5C4033" strokeWidth="1"/>
+        <path d="M12 18L10 22L12 24L14 22L12 18Z" fill={color} stroke="#5C4033" strokeWidth="1"/>
+    </svg>
+);
+
+const CROP_SPRITE_ICONS = { grain: WheatIcon, stalk: CornIcon, tuber: PotatoIcon, vine: TomatoIcon };
+
+export const CropSeedIcon = ({ cropType, size = 16 }) => {
+    const crop = CROP_DEFINITIONS[cropType];
+    return crop ? <SeedIcon size={size} color={crop.seedColor} /> : null;
+};
+
+export const CropIcon = ({ cropType, size = 16 }) => {
+    const crop = CROP_DEFINITIONS[cropType];
+    const Icon = crop && CROP_SPRITE_ICONS[crop.sprite];
+    return Icon ? <Icon size={size} color={crop.stages[crop.stages.length - 1].color} /> : null;
+};
+
+
+// --- Game Context (previously in context/GameContext.js) ---
+const GameContext = createContext();
+
+export const GameProvider = ({ children }) => {
+    const animationFrameId = useRef(null);
+
+    // Firebase state
+    const [auth, setAuth] = useState(null);
+    const [userId, setUserId] = useState(null);
+    const [isAuthReady, setIsAuthReady] = useState(false);
+
+    // Save backend, chosen at startup (Firestore when available, otherwise offline)
+    const [storageAdapter, setStorageAdapter] = useState(null);
+    const [lastSaveInfo, setLastSaveInfo] = useState(null); // { savedAt, slotName } of the most recent successful save
+    const [gameSettings, setGameSettings] = useState(loadGameSettings);
+
+    // Image assets
+    const tractorImageRef = useRef(new Image());
+    const [tractorImageLoaded, setTractorImageLoaded] = useState(false);
+
+    // --- Game State ---
+    // The simulation core owns all game state; React keeps a snapshot for rendering,
+    // interpolated between the last two fixed-length ticks
+    const [sim, setSim] = useState(createInitialSimState);
+    const simRef = useRef(sim); // Always the newest tick, read by the game loop and save functions
+    const previousSimRef = useRef(sim); // The tick before, for interpolation
+    const lastFrameTimeRef = useRef(null);
+    const tickAccumulatorRef = useRef(0); // Real time (ms) not yet simulated
+    const keysRef = useRef({}); // Raw keyboard state, keyed by lower-cased key name
+    const pendingActionsRef = useRef([]); // Actions queued for the next tick
+
+    // Input recording / replay
+    const [replayMode, setReplayMode] = useState(REPLAY_MODE.OFF);
+    const recordingRef = useRef(null); // Recording in progress
+    const replayRef = useRef(null); // { recording, cursor } while a replay is playing
 
-    const [world, setWorld] = useState([]);
-    const [trees, setTrees] = useState([]);
-    const [barns, setBarns] = useState([]);
-    const [silos, setSilos] = useState([]); // State for silos
-    const [clouds, setClouds] = useState([]);
-    const [birds, setBirds] = useState([]);
-    const [planes, setPlanes] = useState([]);
-    const [balloons, setBalloons] = useState([]);
-    const [particles, setParticles] = useState([]); // New state for particles
-
-    const [gameTime, setGameTime] = useState(12); // Start at mid-day
     const [cameraX, setCameraX] = useState(0);
     const [cameraY, setCameraY] = useState(0);
-    const [keys, setKeys] = useState({});
     const [statusMessage, setStatusMessage] = useState('');
     const [statusVisible, setStatusVisible] = useState(false);
-    const [selectedCropType, setSelectedCropType] = useState(CROP_TYPE.WHEAT); // Default selected crop
     const [isShopOpen, setIsShopOpen] = useState(false); // State for shop modal
     const [isSettingsOpen, setIsSettingsOpen] = useState(false); // State for settings modal
+    const [isFinanceOpen, setIsFinanceOpen] = useState(false); // State for finance modal
 
     // Money change feedback state
     const [moneyChangeAmount, setMoneyChangeAmount] = useState(0);
     const [moneyChangeVisible, setMoneyChangeVisible] = useState(false);
     const [moneyChangePosition, setMoneyChangePosition] = useState({ x: 0, y: 0 });
 
-    // Moved sun and moon to state
-    const [sunState, setSunState] = useState({
-        radius: TILE_SIZE * 1.5,
-        color: '#FFFACD',
-        x: WORLD_WIDTH_PIXELS / 2, y: WORLD_HEIGHT_PIXELS / 4, // Initial position
-        visible: false
-    });
-
-    const [moonState, setMoonState] = useState({
-        radius: TILE_SIZE * 1.2,
-        color: '#F0F8FF',
-        x: WORLD_WIDTH_PIXELS / 2, y: WORLD_HEIGHT_PIXELS / 4, // Initial position
-        visible: false
-    });
-
     // --- Utility Functions (exposed via context) ---
     const showStatus = useCallback((message, duration) => {
         setStatusMessage(message);
@@ -423,26 +3604,6 @@ export const GameProvider = ({ children }) => {
         }, 1500);
     }, []);
 
-    const createParticles = useCallback((x, y, count, color, sizeMin, sizeMax, speedMin, speedMax, lifetime, spreadX = TILE_SIZE, spreadY = TILE_SIZE / 2) => {
-        setParticles(prevParticles => {
-            const newParticles = [...prevParticles];
-            for (let i = 0; i < count; i++) {
-                newParticles.push({
-                    id: Date.now() + Math.random(),
-                    x: x + Math.random() * spreadX - spreadX / 2,
-                    y: y + Math.random() * spreadY - spreadY / 2,
-                    vx: (Math.random() - 0.5) * (speedMax - speedMin) + speedMin,
-                    vy: (Math.random() - 0.5) * (speedMax - speedMin) + speedMin,
-                    color: color,
-                    size: Math.random() * (sizeMax - sizeMin) + sizeMin,
-                    lifetime: lifetime,
-                    creationTime: Date.now(),
-                });
-            }
-            return newParticles;
-        });
-    }, []);
-
     // --- Firebase Initialization ---
     useEffect(() => {
         try {
@@ -450,8 +3611,9 @@ export const GameProvider = ({ children }) => {
             const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
 
             if (Object.keys(firebaseConfig).length === 0) {
-                console.error("Firebase config is missing. Cannot initialize Firebase.");
-                showStatus("Firebase not configured. Save/Load disabled.", 3000);
+                console.warn("Firebase config is missing. Falling back to offline saves.");
+                setStorageAdapter(createOfflineStorageAdapter());
+                showStatus("Firebase not configured. Saving offline.", 3000);
                 return;
             }
 
@@ -459,13 +3621,13 @@ export const GameProvider = ({ children }) => {
             const firestoreDb = getFirestore(app);
             const firebaseAuth = getAuth(app);
 
-            setDb(firestoreDb);
             setAuth(firebaseAuth);
 
             onAuthStateChanged(firebaseAuth, async (user) => {
                 if (user) {
                     setUserId(user.uid);
                     setIsAuthReady(true);
+                    setStorageAdapter(createFirestoreStorageAdapter(firestoreDb, appId, user.uid));
                 } else {
                     try {
                         if (typeof __initial_auth_token !== 'undefined' && __initial_auth_token) {
@@ -475,13 +3637,15 @@ export const GameProvider = ({ children }) => {
                         }
                     } catch (error) {
                         console.error("Firebase anonymous sign-in failed:", error);
-                        showStatus("Authentication failed. Save/Load disabled.", 3000);
+                        setStorageAdapter(createOfflineStorageAdapter());
+                        showStatus("Authentication failed. Saving offline.", 3000);
                     }
                 }
             });
         } catch (error) {
             console.error("Error initializing Firebase:", error);
-            showStatus("Firebase initialization error. Save/Load disabled.", 3000);
+            setStorageAdapter(createOfflineStorageAdapter());
+            showStatus("Firebase initialization error. Saving offline.", 3000);
         }
     }, [showStatus]);
 
@@ -500,821 +3664,320 @@ export const GameProvider = ({ children }) => {
     }, [showStatus]);
 
     // --- Save/Load Game Functions ---
-    const saveGame = useCallback(async () => {
-        if (!db || !userId) {
-            showStatus("Cannot save: Firebase not ready or user not authenticated.", 2000);
-            return;
-        }
-
-        try {
-            const serializedWorld = JSON.stringify(world.map(row => row.map(tile => {
-                if (tile.crop) {
-                    return { ...tile, crop: { ...tile.crop, plantedTime: tile.crop.plantedTime.valueOf() } };
-                }
-                return tile;
-            })));
-
-            const gameData = {
-                player: { ...player, inventory: { ...player.inventory } },
-                tractor: { ...tractor, equipment: tractor.equipment ? { ...tractor.equipment } : null },
-                plow: { ...plow },
-                seeder: { ...seeder },
-                combineHarvester: { ...combineHarvester },
-                world: serializedWorld,
-                trees: [...trees],
-                barns: [...barns],
-                silos: [...silos],
-                clouds: [...clouds],
-                birds: [...birds],
-                planes: [...planes],
-                balloons: [...balloons],
-                gameTime: gameTime,
-                cameraX: cameraX,
-                cameraY: cameraY,
-                selectedCropType: selectedCropType,
-                isShopOpen: isShopOpen,
-                sunState: { ...sunState },
-                moonState: { ...moonState },
-            };
+    // Persistent save document for the current game, shared by slot saves and file export
+    const buildSaveData = useCallback(() => serializeGameState(simRef.current), []);
+
+    // Restores validated game state (from a slot or an imported file)
+    // Replacing the state from outside the simulation ends any recording or replay, which would no longer match it
+    const stopInputCapture = useCallback(() => {
+        recordingRef.current = null;
+        replayRef.current = null;
+        setReplayMode(REPLAY_MODE.OFF);
+    }, []);
 
-            const docRef = doc(db, `artifacts/${typeof __app_id !== 'undefined' ? __app_id : 'default-app-id'}/users/${userId}/gameStates`, SAVE_GAME_DOC_ID);
-            await setDoc(docRef, gameData);
-            showStatus("Game saved successfully!", 1500);
-        } catch (error) {
-            console.error("Error saving game:", error);
-            showStatus("Failed to save game.", 2000);
-        }
-    }, [db, userId, player, tractor, plow, seeder, combineHarvester, world, trees, barns, silos, clouds, birds, planes, balloons, gameTime, cameraX, cameraY, selectedCropType, isShopOpen, sunState, moonState, showStatus]);
+    const applyLoadedState = useCallback((loadedState) => {
+        stopInputCapture();
+        simRef.current = loadSimState(simRef.current, loadedState);
+        previousSimRef.current = simRef.current;
+        setSim(simRef.current);
+    }, [stopInputCapture]);
+
+    // Replaces the current farm with a freshly generated world (a random one when no seed is given)
+    const startNewWorld = useCallback((seed = null) => {
+        stopInputCapture();
+        simRef.current = createInitialSimState(seed ?? createWorldSeed());
+        previousSimRef.current = simRef.current;
+        setSim(simRef.current);
+        showStatus(`New world created (seed ${simRef.current.seed}).`, 2000);
+    }, [stopInputCapture, showStatus]);
+
+    const startRecording = useCallback(() => {
+        replayRef.current = null;
+        recordingRef.current = createInputRecording(simRef.current);
+        setReplayMode(REPLAY_MODE.RECORDING);
+        showStatus("Recording input...", 1500);
+    }, [showStatus]);
 
-    const loadGame = useCallback(async () => {
-        if (!db || !userId) {
-            showStatus("Cannot load: Firebase not ready or user not authenticated.", 2000);
-            return;
-        }
+    // Ends the recording and downloads it
+    const stopRecording = useCallback(() => {
+        const recording = recordingRef.current;
+        if (!recording) return;
 
+        recordingRef.current = null;
+        setReplayMode(REPLAY_MODE.OFF);
         try {
-            const docRef = doc(db, `artifacts/${typeof __app_id !== 'undefined' ? __app_id : 'default-app-id'}/users/${userId}/gameStates`, SAVE_GAME_DOC_ID);
-            const docSnap = await getDoc(docRef);
-
-            if (docSnap.exists()) {
-                const loadedData = docSnap.data();
-
-                setPlayer(loadedData.player);
-                setTractor(loadedData.tractor);
-                setPlow(loadedData.plow);
-                setSeeder(loadedData.seeder);
-                setCombineHarvester(loadedData.combineHarvester);
-
-                const loadedWorld = JSON.parse(loadedData.world).map(row => row.map(tile => {
-                    if (tile.crop && typeof tile.crop.plantedTime === 'number') {
-                        return { ...tile, crop: { ...tile.crop, plantedTime: new Date(tile.crop.plantedTime) } };
-                    }
-                    return tile;
-                }));
-                setWorld(loadedWorld);
-
-                setTrees(loadedData.trees);
-                setBarns(loadedData.barns);
-                setSilos(loadedData.silos);
-                setClouds(loadedData.clouds);
-                setBirds(loadedData.birds);
-                setPlanes(loadedData.planes);
-                setBalloons(loadedData.balloons);
-                setGameTime(loadedData.gameTime);
-                setCameraX(loadedData.cameraX);
-                setCameraY(loadedData.cameraY);
-                setSelectedCropType(loadedData.selectedCropType);
-                setIsShopOpen(loadedData.isShopOpen);
-                setSunState(loadedData.sunState);
-                setMoonState(loadedData.moonState);
-
-                showStatus("Game loaded successfully!", 1500);
-            } else {
-                showStatus("No saved game found.", 2000);
-            }
+            downloadJsonFile({ ...recording, endTick: simRef.current.tick }, `fs2d-replay-day${simRef.current.day}-${new Date().toISOString().slice(0, 10)}.json`);
+            showStatus(`Recording saved (${simRef.current.tick - recording.startTick} ticks).`, 2000);
         } catch (error) {
-            console.error("Error loading game:", error);
-            showStatus("Failed to load game.", 2000);
+            console.error("Error saving recording:", error);
+            showStatus("Failed to save recording.", 2000);
         }
-    }, [db, userId, showStatus]);
-
-    // --- Game Logic Handlers ---
-    const handlePlayerMovement = useCallback(() => {
-        setPlayer(prevPlayer => {
-            if (prevPlayer.isInVehicle) return prevPlayer;
-
-            let newVx = 0;
-            let newFacing = prevPlayer.facing;
-            if (keys['a'] || keys['arrowleft']) {
-                newVx = -prevPlayer.speed;
-                newFacing = 'left';
-            } else if (keys['d'] || keys['arrowright']) {
-                newVx = prevPlayer.speed;
-                newFacing = 'right';
-            }
-
-            let newVy = prevPlayer.vy;
-            let newOnGround = prevPlayer.onGround;
-            if ((keys['w'] || keys['arrowup']) && prevPlayer.onGround) {
-                newVy = -prevPlayer.jumpPower;
-                newOnGround = false;
-            }
-
-            return { ...prevPlayer, vx: newVx, vy: newVy, onGround: newOnGround, facing: newFacing };
-        });
-    }, [keys]);
-
-    const handleTractorMovement = useCallback(() => {
-        setTractor(prevTractor => {
-            if (!prevTractor.isInVehicle) return { ...prevTractor, vx: 0 };
-
-            let newVx = 0;
-            let newFuel = prevTractor.fuel;
-            let newFacing = prevTractor.facing;
-
-            const isMovingKey = keys['a'] || keys['arrowleft'] || keys['d'] || keys['arrowright'];
+    }, [showStatus]);
 
-            if (prevTractor.fuel <= 0 && isMovingKey) {
-                showStatus("Tractor out of fuel!", 1000);
-                return { ...prevTractor, vx: 0 };
+    // Restores the recording's starting state and feeds its input back into the game loop
+    const playReplay = useCallback(async (file) => {
+        try {
+            let replayData;
+            try {
+                replayData = JSON.parse(await file.text());
+            } catch (error) {
+                throw createSaveDataError("File is not valid JSON.");
             }
 
-            if (keys['a'] || keys['arrowleft']) {
-                newVx = -prevTractor.speed;
-                newFacing = 'left';
-                newFuel = Math.max(0, prevTractor.fuel - prevTractor.fuelConsumption);
-            } else if (keys['d'] || keys['arrowright']) {
-                newVx = prevTractor.speed;
-                newFacing = 'right';
-                newFuel = Math.max(0, prevTractor.fuel - prevTractor.fuelConsumption);
+            const recording = validateInputRecording(replayData);
+            recordingRef.current = null;
+            replayRef.current = { recording, cursor: createReplayCursor() };
+            simRef.current = recording.initialState;
+            previousSimRef.current = simRef.current;
+            pendingActionsRef.current = [];
+            setSim(simRef.current);
+            setReplayMode(REPLAY_MODE.REPLAYING);
+            showStatus(`Replaying "${file.name}"...`, 1500);
+            return true;
+        } catch (error) {
+            console.error("Error playing replay:", error);
+            if (error.name === 'SaveDataError') {
+                showStatus(`Replay failed: ${error.message}`, 3000);
+            } else {
+                showStatus("Failed to play replay.", 2000);
             }
+            return false;
+        }
+    }, [showStatus]);
 
-            return { ...prevTractor, vx: newVx, fuel: newFuel, facing: newFacing };
-        });
-    }, [keys, showStatus]);
-
-    const handleCombineMovement = useCallback(() => {
-        setCombineHarvester(prevCombine => {
-            if (!prevCombine.isInVehicle) return { ...prevCombine, vx: 0 };
+    // Stops a replay early; the game carries on from where the replay got to
+    const stopReplay = useCallback((message = "Replay stopped.") => {
+        if (!replayRef.current) return;
+        replayRef.current = null;
+        setReplayMode(REPLAY_MODE.OFF);
+        showStatus(message, 2000);
+    }, [showStatus]);
 
-            let newVx = 0;
-            let newFuel = prevCombine.fuel;
-            let newFacing = prevCombine.facing;
+    // options.quiet skips the success message (used by autosave)
+    const saveGame = useCallback(async (slotId = createSaveSlotId(), slotName = `Farm (Day ${simRef.current.day})`, options = {}) => {
+        if (!storageAdapter) {
+            showStatus("Cannot save: storage not ready yet.", 2000);
+            return false;
+        }
 
-            const isMovingKey = keys['a'] || keys['arrowleft'] || keys['d'] || keys['arrowright'];
+        try {
+            const gameData = buildSaveData();
+
+            const slotMeta = {
+                id: slotId,
+                name: slotName,
+                savedAt: Date.now(),
+                money: simRef.current.player.money,
+                day: simRef.current.day,
+                thumbnail: captureSaveThumbnail(),
+            };
 
-            if (prevCombine.fuel <= 0 && isMovingKey) {
-                showStatus("Combine out of fuel!", 1000);
-                return { ...prevCombine, vx: 0 };
-            }
+            await storageAdapter.save(slotId, gameData, slotMeta);
+            setLastSaveInfo({ savedAt: slotMeta.savedAt, slotName });
+            if (!options.quiet) showStatus(`Game saved to "${slotName}"!`, 1500);
+            return true;
+        } catch (error) {
+            console.error("Error saving game:", error);
+            showStatus("Failed to save game.", 2000);
+            return false;
+        }
+    }, [storageAdapter, buildSaveData, showStatus]);
 
-            if (keys['a'] || keys['arrowleft']) {
-                newVx = -prevCombine.speed;
-                newFacing = 'left';
-                newFuel = Math.max(0, prevCombine.fuel - prevCombine.fuelConsumption);
-            } else if (keys['d'] || keys['arrowright']) {
-                newVx = prevCombine.speed;
-                newFacing = 'right';
-                newFuel = Math.max(0, prevCombine.fuel - prevCombine.fuelConsumption);
-            }
+    const loadGame = useCallback(async (slotId = SAVE_GAME_DOC_ID) => {
+        if (!storageAdapter) {
+            showStatus("Cannot load: storage not ready yet.", 2000);
+            return false;
+        }
 
-            return { ...prevCombine, vx: newVx, fuel: newFuel, facing: newFacing };
-        });
-    }, [keys, showStatus]);
-
-    const handleEnterExitVehicle = useCallback(() => {
-        setPlayer(prevPlayer => {
-            let newPlayer = { ...prevPlayer };
-            let currentTractor = tractor;
-            let currentCombineHarvester = combineHarvester;
-
-            if (newPlayer.isInVehicle) {
-                let currentVehicle = null;
-                if (currentTractor.isInVehicle) currentVehicle = currentTractor;
-                else if (currentCombineHarvester.isInVehicle) currentVehicle = currentCombineHarvester;
-
-                if (currentVehicle) {
-                    newPlayer.isInVehicle = false;
-                    if (currentVehicle.type === 'tractor') {
-                        setTractor(prev => ({ ...prev, isInVehicle: false }));
-                    } else if (currentVehicle.type === 'combine harvester') {
-                        setCombineHarvester(prev => ({ ...prev, isInVehicle: false }));
-                    }
+        try {
+            const loadedData = await storageAdapter.load(slotId);
 
-                    const groundStartRow = Math.floor(WORLD_HEIGHT_TILES * 0.75);
-                    const groundLevelY = groundStartRow * TILE_SIZE;
-                    newPlayer.x = currentVehicle.x + (currentVehicle.width / 2) - (newPlayer.width / 2);
-                    newPlayer.y = groundLevelY - newPlayer.height;
-                    newPlayer.vx = 0;
-                    newPlayer.vy = 0;
-                    newPlayer.onGround = false;
-                    showStatus(`Exited ${currentVehicle.type.charAt(0).toUpperCase() + currentVehicle.type.slice(1)}`, 1500);
-                }
-            } else {
-                let closestVehicle = null;
-                let minDistance = Infinity;
-                const enterRange = 80;
-
-                for (const vehicle of [currentTractor, currentCombineHarvester]) {
-                    const distance = Math.sqrt(
-                        Math.pow(newPlayer.x - vehicle.x, 2) +
-                        Math.pow(newPlayer.y - vehicle.y, 2)
-                    );
-                    if (distance < minDistance && distance < enterRange) {
-                        minDistance = distance;
-                        closestVehicle = vehicle;
-                    }
-                }
+            if (loadedData) {
+                const loadedState = deserializeGameState(loadedData);
+                const catchUpHours = getOfflineCatchUpHours(loadedState.savedAt, Date.now(), gameSettings.offlineGrowthPolicy);
+                applyLoadedState(applyOfflineCatchUp(loadedState, catchUpHours));
 
-                if (closestVehicle) {
-                    newPlayer.isInVehicle = true;
-                    if (closestVehicle.type === 'tractor') {
-                        setTractor(prev => ({ ...prev, isInVehicle: true }));
-                    } else if (closestVehicle.type === 'combine harvester') {
-                        setCombineHarvester(prev => ({ ...prev, isInVehicle: true }));
-                    }
-                    newPlayer.x = closestVehicle.x + (closestVehicle.width / 2);
-                    newPlayer.y = closestVehicle.y + (closestVehicle.height / 2);
-                    showStatus(`Entered ${closestVehicle.type.charAt(0).toUpperCase() + closestVehicle.type.slice(1)}`, 1500);
+                if (catchUpHours >= 1) {
+                    showStatus(`Game loaded! ${Math.floor(catchUpHours)} in-game hours passed while you were away.`, 2500);
                 } else {
-                    showStatus("No vehicle close enough to enter!", 1000);
+                    showStatus("Game loaded successfully!", 1500);
                 }
+                return true;
+            } else {
+                showStatus("No saved game found.", 2000);
+                return false;
             }
-            return newPlayer;
-        });
-    }, [tractor, combineHarvester, showStatus, setTractor, setCombineHarvester]);
-
-    const handleHitchClosestAttachment = useCallback(() => {
-        setTractor(prevTractor => {
-            if (!prevTractor.isInVehicle) {
-                showStatus("Must be in tractor to hitch attachments!", 1000);
-                return prevTractor;
+        } catch (error) {
+            console.error("Error loading game:", error);
+            if (error.name === 'SaveDataError') {
+                showStatus(`Save is corrupt: ${error.message}`, 3000);
+            } else {
+                showStatus("Failed to load game.", 2000);
             }
+            return false;
+        }
+    }, [storageAdapter, applyLoadedState, gameSettings.offlineGrowthPolicy, showStatus]);
 
-            let newTractor = { ...prevTractor };
-            let currentPlow = plow;
-            let currentSeeder = seeder;
+    // Downloads the current game as a JSON file (same shape as a slot save)
+    const exportGame = useCallback(() => {
+        try {
+            downloadJsonFile(buildSaveData(), `fs2d-save-day${simRef.current.day}-${new Date().toISOString().slice(0, 10)}.json`);
+            showStatus("Save exported!", 1500);
+        } catch (error) {
+            console.error("Error exporting game:", error);
+            showStatus("Failed to export save.", 2000);
+        }
+    }, [buildSaveData, showStatus]);
 
-            if (newTractor.equipment) {
-                if (newTractor.equipment.type === 'plow') setPlow(prev => ({ ...prev, isHitched: false }));
-                else if (newTractor.equipment.type === 'seeder') setSeeder(prev => ({ ...prev, isHitched: false }));
-                showStatus(`${newTractor.equipment.type.charAt(0).toUpperCase() + newTractor.equipment.type.slice(1)} Detached`, 1500);
-                newTractor.equipment = null;
-            } else {
-                let closestAttachment = null;
-                let minDistance = Infinity;
-                const hitchRange = 60;
-
-                for (const attachment of [currentPlow, currentSeeder]) {
-                    if (!attachment.isHitched) {
-                        const distance = Math.abs(newTractor.x - attachment.x);
-                        if (distance < minDistance && distance < hitchRange) {
-                            minDistance = distance;
-                            closestAttachment = attachment;
-                        }
-                    }
-                }
+    // Downloads the transaction ledger as a spreadsheet-friendly CSV file
+    const exportLedger = useCallback(() => {
+        try {
+            downloadTextFile(ledgerToCsv(simRef.current.ledger), `fs2d-ledger-day${simRef.current.day}-${new Date().toISOString().slice(0, 10)}.csv`, 'text/csv');
+            showStatus("Ledger exported!", 1500);
+        } catch (error) {
+            console.error("Error exporting ledger:", error);
+            showStatus("Failed to export ledger.", 2000);
+        }
+    }, [showStatus]);
 
-                if (closestAttachment) {
-                    if (closestAttachment.type === 'plow') {
-                        setPlow(prev => ({ ...prev, isHitched: true }));
-                        newTractor.equipment = closestAttachment;
-                    } else if (closestAttachment.type === 'seeder') {
-                        setSeeder(prev => ({ ...prev, isHitched: true }));
-                        newTractor.equipment = closestAttachment;
-                    }
-                    showStatus(`${closestAttachment.type.charAt(0).toUpperCase() + closestAttachment.type.slice(1)} Attached`, 1500);
-                } else {
-                    showStatus("No attachment close enough to hitch!", 1000);
-                }
-            }
-            return newTractor;
-        });
-    }, [plow, seeder, showStatus, setPlow, setSeeder]);
-
-    const handleTillSoil = useCallback(() => {
-        setPlayer(prevPlayer => {
-            if (prevPlayer.isInVehicle) return prevPlayer;
-            if (world.length === 0) return prevPlayer;
-
-            const tileX = Math.floor((prevPlayer.x + prevPlayer.width / 2) / TILE_SIZE);
-            const tileY = Math.floor((prevPlayer.y + prevPlayer.height) / TILE_SIZE);
-
-            if (tileY < WORLD_HEIGHT_TILES && tileX < WORLD_WIDTH_TILES) {
-                const newWorld = world.map((row, y) =>
-                    row.map((tile, x) => {
-                        if (x === tileX && y === tileY && (tile.type === TILE_TYPE.GRASS || tile.type === TILE_TYPE.DIRT)) {
-                            showStatus("Tilled soil", 1000);
-                            createParticles(x * TILE_SIZE + TILE_SIZE / 2, y * TILE_SIZE + TILE_SIZE / 2, 10, '#D2B48C', 2, 5, -1, 1, 500);
-                            return { ...tile, type: TILE_TYPE.TILLED };
-                        }
-                        return tile;
-                    })
-                );
-                setWorld(newWorld);
-            }
-            return prevPlayer;
-        });
-    }, [world, showStatus, createParticles]);
-
-    const handlePlantCrop = useCallback(() => {
-        setPlayer(prevPlayer => {
-            if (prevPlayer.isInVehicle) return prevPlayer;
-            if (world.length === 0) return prevPlayer;
-
-            const tileX = Math.floor((prevPlayer.x + prevPlayer.width / 2) / TILE_SIZE);
-            const tileY = Math.floor((prevPlayer.y + prevPlayer.height) / TILE_SIZE);
-
-            if (tileY < WORLD_HEIGHT_TILES && tileX < WORLD_WIDTH_TILES) {
-                const tile = world[tileY][tileX];
-                if (tile.type === TILE_TYPE.TILLED && !tile.crop) {
-                    let seedInventoryKey;
-                    let seedColor;
-                    if (selectedCropType === CROP_TYPE.WHEAT) { seedInventoryKey = 'wheatSeeds'; seedColor = '#A0522D'; }
-                    else if (selectedCropType === CROP_TYPE.CORN) { seedInventoryKey = 'cornSeeds'; seedColor = '#8B4513'; }
-                    else if (selectedCropType === CROP_TYPE.POTATO) { seedInventoryKey = 'potatoSeeds'; seedColor = '#6F4E37'; }
-
-                    if (prevPlayer.inventory[seedInventoryKey] > 0) {
-                        const newWorld = world.map((row, y) =>
-                            row.map((t, x) => {
-                                if (x === tileX && y === tileY) {
-                                    showStatus(`${selectedCropType.charAt(0).toUpperCase() + selectedCropType.slice(1)} planted!`, 1500);
-                                    createParticles(x * TILE_SIZE + TILE_SIZE / 2, y * TILE_SIZE + TILE_SIZE / 2, 5, seedColor, 3, 6, -0.5, 0.5, 700);
-                                    return {
-                                        ...t,
-                                        type: TILE_TYPE.CROP_PLANTED,
-                                        crop: {
-                                            type: selectedCropType,
-                                            stage: CROP_STAGE.SEED,
-                                            plantedTime: Date.now(),
-                                        }
-                                    };
-                                }
-                                return t;
-                            })
-                        );
-                        setWorld(newWorld);
-                        return {
-                            ...prevPlayer,
-                            inventory: {
-                                ...prevPlayer.inventory,
-                                [seedInventoryKey]: prevPlayer.inventory[seedInventoryKey] - 1
-                            }
-                        };
-                    } else {
-                        showStatus(`No ${selectedCropType.replace('Seeds', '')} seeds!`, 1000);
-                    }
-                } else if (tile.crop) {
-                    showStatus("Already something here!", 1000);
-                } else {
-                    showStatus("Needs tilled soil!", 1000);
-                }
-            }
-            return prevPlayer;
-        });
-    }, [world, showStatus, selectedCropType, createParticles]);
-
-    const handleHarvestCrop = useCallback(() => {
-        setPlayer(prevPlayer => {
-            if (prevPlayer.isInVehicle) return prevPlayer;
-            if (world.length === 0) return prevPlayer;
-
-            const tileX = Math.floor((prevPlayer.x + prevPlayer.width / 2) / TILE_SIZE);
-            const tileY = Math.floor((prevPlayer.y + prevPlayer.height) / TILE_SIZE);
-
-            if (tileY < WORLD_HEIGHT_TILES && tileX < WORLD_WIDTH_TILES) {
-                const tile = world[tileY][tileX];
-                if (tile.type === TILE_TYPE.CROP_GROWN && tile.crop && tile.crop.stage === CROP_STAGE.MATURE) {
-                    const harvestedCropType = tile.crop.type;
-                    const currentCropCount = prevPlayer.inventory[harvestedCropType] || 0;
-
-                    if (currentCropCount < prevPlayer.maxStorage) {
-                        const newWorld = world.map((row, y) =>
-                            row.map((t, x) => {
-                                if (x === tileX && y === tileY) {
-                                    showStatus(`Harvested ${harvestedCropType.charAt(0).toUpperCase() + harvestedCropType.slice(1)}!`, 1500);
-                                    const harvestColor = TILE_COLORS[harvestedCropType][CROP_STAGE.MATURE];
-                                    createParticles(x * TILE_SIZE + TILE_SIZE / 2, y * TILE_SIZE + TILE_SIZE / 2, 15, harvestColor, 4, 8, -1.5, 1.5, 800);
-                                    return { ...t, type: TILE_TYPE.TILLED, crop: null };
-                                }
-                                return t;
-                            })
-                        );
-                        setWorld(newWorld);
-                        return {
-                            ...prevPlayer,
-                            inventory: {
-                                ...prevPlayer.inventory,
-                                [harvestedCropType]: prevPlayer.inventory[harvestedCropType] + 1
-                            }
-                        };
-                    } else {
-                        showStatus("Storage full! Sell crops to make space.", 1500);
-                    }
-                } else if (tile.crop && tile.crop.stage !== CROP_STAGE.MATURE) {
-                    showStatus("Crop not mature yet!", 1000);
-                } else {
-                    showStatus("Nothing to harvest here!", 1000);
-                }
+    // Restores a game from a JSON file picked by the player.
+    // Imports are exact snapshots (handy for bug reports), so no offline catch-up is applied.
+    const importGame = useCallback(async (file) => {
+        try {
+            let importedData;
+            try {
+                importedData = JSON.parse(await file.text());
+            } catch (error) {
+                throw createSaveDataError("File is not valid JSON.");
             }
-            return prevPlayer;
-        });
-    }, [world, showStatus, createParticles, TILE_COLORS, CROP_STAGE]);
-
-    const applyPlowAction = useCallback(() => {
-        if (tractor.equipment?.type !== 'plow' || tractor.vx === 0 || tractor.fuel <= 0) return;
-        if (world.length === 0) return;
 
-        const plowY = Math.floor((plow.y + plow.height) / TILE_SIZE);
-        setWorld(prevWorld => {
-            const newWorld = prevWorld.map(row => [...row]);
-            for (let i = 0; i < plow.width / TILE_SIZE; i++) {
-                const plowX = Math.floor((plow.x + i * TILE_SIZE) / TILE_SIZE);
-
-                if (plowY < WORLD_HEIGHT_TILES && plowX >= 0 && plowX < WORLD_WIDTH_TILES) {
-                    const tile = newWorld[plowY][plowX];
-                    if ((tile.type === TILE_TYPE.GRASS || tile.type === TILE_TYPE.DIRT) && !tile.crop) {
-                        newWorld[plowY][plowX] = { ...tile, type: TILE_TYPE.TILLED };
-                        createParticles(plowX * TILE_SIZE + TILE_SIZE / 2, plowY * TILE_SIZE + TILE_SIZE / 2, 5, '#D2B48C', 1, 3, -0.8, 0.8, 400);
-                    }
-                }
+            applyLoadedState(deserializeGameState(importedData));
+            showStatus(`Imported "${file.name}"!`, 1500);
+            return true;
+        } catch (error) {
+            console.error("Error importing game:", error);
+            if (error.name === 'SaveDataError') {
+                showStatus(`Import failed: ${error.message}`, 3000);
+            } else {
+                showStatus("Failed to import save.", 2000);
             }
-            return newWorld;
-        });
-    }, [tractor.equipment, tractor.vx, tractor.fuel, plow.y, plow.height, plow.width, world, createParticles]);
-
-    const applySeederAction = useCallback(() => {
-        if (tractor.equipment?.type !== 'seeder' || tractor.vx === 0 || tractor.fuel <= 0) return;
-        if (world.length === 0) return;
+            return false;
+        }
+    }, [applyLoadedState, showStatus]);
 
-        const seederY = Math.floor((seeder.y + seeder.height) / TILE_SIZE);
-        setWorld(prevWorld => {
-            const newWorld = prevWorld.map(row => [...row]);
-            let seedsConsumed = 0;
-            for (let i = 0; i < seeder.width / TILE_SIZE; i++) {
-                const seederX = Math.floor((seeder.x + i * TILE_SIZE) / TILE_SIZE);
-
-                if (seederY < WORLD_HEIGHT_TILES && seederX >= 0 && seederX < WORLD_WIDTH_TILES) {
-                    const tile = newWorld[seederY][seederX];
-                    if (tile.type === TILE_TYPE.TILLED && !tile.crop) {
-                        let seedInventoryKey;
-                        let seedColor;
-                        if (selectedCropType === CROP_TYPE.WHEAT) { seedInventoryKey = 'wheatSeeds'; seedColor = '#A0522D'; }
-                        else if (selectedCropType === CROP_TYPE.CORN) { seedInventoryKey = 'cornSeeds'; seedColor = '#8B4513'; }
-                        else if (selectedCropType === CROP_TYPE.POTATO) { seedInventoryKey = 'potatoSeeds'; seedColor = '#6F4E37'; }
-
-                        if (player.inventory[seedInventoryKey] - seedsConsumed > 0) {
-                            newWorld[seederY][seederX] = {
-                                ...tile,
-                                type: TILE_TYPE.CROP_PLANTED,
-                                crop: {
-                                    type: selectedCropType,
-                                    stage: CROP_STAGE.SEED,
-                                    plantedTime: Date.now(),
-                                }
-                            };
-                            seedsConsumed++;
-                            createParticles(seederX * TILE_SIZE + TILE_SIZE / 2, seederY * TILE_SIZE + TILE_SIZE / 2, 3, seedColor, 2, 4, -0.3, 0.3, 600);
-                        } else {
-                            showStatus(`No ${selectedCropType.replace('Seeds', '')} seeds to plant!`, 100);
-                        }
-                    }
-                }
-            }
-            if (seedsConsumed > 0) {
-                setPlayer(prev => ({
-                    ...prev,
-                    inventory: {
-                        ...prev.inventory,
-                        [selectedCropType + 'Seeds']: prev.inventory[selectedCropType + 'Seeds'] - seedsConsumed
-                    }
-                }));
-            }
-            return newWorld;
+    const updateGameSettings = useCallback((changes) => {
+        setGameSettings(prev => {
+            const nextSettings = { ...prev, ...changes };
+            storeGameSettings(nextSettings);
+            return nextSettings;
         });
-    }, [tractor.equipment, tractor.vx, tractor.fuel, seeder.y, seeder.height, seeder.width, player.inventory, selectedCropType, showStatus, world, createParticles, CROP_TYPE]);
-
-    const applyCombineAction = useCallback(() => {
-        if (!combineHarvester.isInVehicle || combineHarvester.vx === 0 || combineHarvester.fuel <= 0) return;
-        if (world.length === 0) return;
+    }, []);
 
-        const combineY = Math.floor((combineHarvester.y + combineHarvester.height) / TILE_SIZE);
-        const headerWidth = TILE_SIZE * 2;
-        let startX, endX;
+    const listSaveSlots = useCallback(async () => {
+        if (!storageAdapter) return [];
 
-        if (combineHarvester.facing === 'right') {
-            startX = Math.floor((combineHarvester.x + combineHarvester.width) / TILE_SIZE);
-            endX = Math.floor((combineHarvester.x + combineHarvester.width + headerWidth) / TILE_SIZE);
-        } else {
-            startX = Math.floor((combineHarvester.x - headerWidth) / TILE_SIZE);
-            endX = Math.floor(combineHarvester.x / TILE_SIZE);
+        try {
+            const slots = await storageAdapter.list();
+            return [...slots].sort((a, b) => (b.savedAt || 0) - (a.savedAt || 0));
+        } catch (error) {
+            console.error("Error listing save slots:", error);
+            showStatus("Failed to list saved games.", 2000);
+            return [];
         }
+    }, [storageAdapter, showStatus]);
 
-        setWorld(prevWorld => {
-            const newWorld = prevWorld.map(row => [...row]);
-            let harvestedCount = { wheat: 0, corn: 0, potato: 0 };
-
-            for (let x = Math.min(startX, endX); x < Math.max(startX, endX); x++) {
-                if (combineY < WORLD_HEIGHT_TILES && x >= 0 && x < WORLD_WIDTH_TILES) {
-                    const tile = newWorld[combineY][x];
-                    if (tile.type === TILE_TYPE.CROP_GROWN && tile.crop && tile.crop.stage === CROP_STAGE.MATURE) {
-                        const currentCropCount = player.inventory[tile.crop.type] || 0;
-                        if (currentCropCount + harvestedCount[tile.crop.type] < player.maxStorage) {
-                            harvestedCount[tile.crop.type]++;
-                            newWorld[combineY][x] = { ...tile, type: TILE_TYPE.TILLED, crop: null };
-                            const harvestColor = TILE_COLORS[tile.crop.type][CROP_STAGE.MATURE];
-                            createParticles(x * TILE_SIZE + TILE_SIZE / 2, combineY * TILE_SIZE + TILE_SIZE / 2, 8, harvestColor, 3, 7, -1, 1, 600);
-                        } else {
-                            showStatus("Storage full! Cannot harvest more.", 1500);
-                            break;
-                        }
-                    }
-                }
-            }
+    const deleteSaveSlot = useCallback(async (slotId) => {
+        if (!storageAdapter) return false;
 
-            if (harvestedCount.wheat > 0 || harvestedCount.corn > 0 || harvestedCount.potato > 0) {
-                setPlayer(prev => ({
-                    ...prev,
-                    inventory: {
-                        ...prev.inventory,
-                        wheat: prev.inventory.wheat + harvestedCount.wheat,
-                        corn: prev.inventory.corn + harvestedCount.corn,
-                        potato: prev.inventory.potato + harvestedCount.potato,
-                    }
-                }));
-                showStatus("Harvested with combine!", 1500);
-            }
-            return newWorld;
-        });
-    }, [combineHarvester.isInVehicle, combineHarvester.vx, combineHarvester.fuel, combineHarvester.facing, combineHarvester.y, combineHarvester.height, combineHarvester.width, showStatus, world, player.inventory, player.maxStorage, createParticles, TILE_COLORS, CROP_STAGE]);
+        try {
+            await storageAdapter.remove(slotId);
+            showStatus("Save deleted.", 1500);
+            return true;
+        } catch (error) {
+            console.error("Error deleting save slot:", error);
+            showStatus("Failed to delete save.", 2000);
+            return false;
+        }
+    }, [storageAdapter, showStatus]);
 
-    const updateCropGrowth = useCallback(() => {
-        const now = Date.now();
-        if (world.length === 0) return;
+    const renameSaveSlot = useCallback(async (slotId, name) => {
+        if (!storageAdapter) return false;
 
-        setWorld(prevWorld => {
-            const newWorld = prevWorld.map(row => [...row]);
-            for (let y = 0; y < WORLD_HEIGHT_TILES; y++) {
-                for (let x = 0; x < WORLD_WIDTH_TILES; x++) {
-                    const tile = newWorld[y][x];
-                    if (tile.crop && tile.type === TILE_TYPE.CROP_PLANTED) {
-                        const timeElapsed = now - tile.crop.plantedTime;
-                        if (timeElapsed >= GROWTH_TIME_PER_STAGE * (tile.crop.stage + 1)) {
-                            const newStage = tile.crop.stage + 1;
-                            newWorld[y][x] = {
-                                ...tile,
-                                crop: { ...tile.crop, stage: newStage },
-                                type: newStage >= CROP_STAGE.MATURE ? TILE_TYPE.CROP_GROWN : TILE_TYPE.CROP_PLANTED
-                            };
-                        }
-                    }
-                }
-            }
-            return newWorld;
-        });
-    }, [world, GROWTH_TIME_PER_STAGE, TILE_TYPE, CROP_STAGE]);
-
-    const updateClouds = useCallback(() => {
-        const lightFactor = getAmbientLightFactor(gameTime);
-        setClouds(prevClouds => prevClouds.map(cloud => {
-            let newX = cloud.x + cloud.speed;
-            if (newX > WORLD_WIDTH_PIXELS) {
-                newX = -cloud.width;
-            }
-            return { ...cloud, x: newX, opacity: 0.8 * lightFactor };
-        }));
-    }, [gameTime]);
-
-    const updateSunMoonPositions = useCallback(() => {
-        const groundStartRow = Math.floor(WORLD_HEIGHT_TILES * 0.75);
-        const horizonY = groundStartRow * TILE_SIZE;
-        const peakY = TILE_SIZE * 2;
-        const amplitude = horizonY - peakY;
-
-        const sunAngle = (gameTime / 24) * Math.PI * 2;
-        const newSunX = (gameTime / 24) * WORLD_WIDTH_PIXELS;
-        const newSunY = horizonY + amplitude * Math.sin(sunAngle - Math.PI / 2);
-
-        const moonAngle = ((gameTime + 12) % 24 / 24) * Math.PI * 2;
-        const newMoonX = ((gameTime + 12) % 24 / 24) * WORLD_WIDTH_PIXELS;
-        const newMoonY = horizonY + amplitude * Math.sin(moonAngle - Math.PI / 2);
-
-        setSunState(prev => ({ ...prev, x: newSunX, y: newSunY, visible: newSunY < horizonY + prev.radius / 2 }));
-        setMoonState(prev => ({ ...prev, x: newMoonX, y: newMoonY, visible: newMoonY < horizonY + prev.radius / 2 }));
-    }, [gameTime]);
-
-    const generateFlyingObject = useCallback(() => {
-        const now = Date.now();
-        const FLYING_OBJECT_INTERVAL_MIN = 10000;
-        const FLYING_OBJECT_INTERVAL_MAX = 30000;
-
-        if (now - lastFlyingObjectTimeRef.current > (Math.random() * (FLYING_OBJECT_INTERVAL_MAX - FLYING_OBJECT_INTERVAL_MIN) + FLYING_OBJECT_INTERVAL_MIN)) {
-            lastFlyingObjectTimeRef.current = now;
-            const type = Math.random();
-            const startX = Math.random() < 0.5 ? -TILE_SIZE * 5 : WORLD_WIDTH_PIXELS + TILE_SIZE * 5;
-            const direction = startX < 0 ? 1 : -1;
-            const baseSkyY = Math.random() * (WORLD_HEIGHT_PIXELS / 3);
-
-            if (type < 0.5) {
-                setBirds(prev => [...prev, {
-                    x: startX, y: baseSkyY, speed: (Math.random() * 0.5 + 1) * direction,
-                    width: TILE_SIZE * 1.5, height: TILE_SIZE * 0.8, wingState: 0, type: 'bird'
-                }]);
-            } else if (type < 0.8) {
-                setPlanes(prev => [...prev, {
-                    x: startX, y: baseSkyY + TILE_SIZE * 3, speed: (Math.random() * 0.8 + 2) * direction,
-                    width: TILE_SIZE * 4, height: TILE_SIZE * 1.5, type: 'plane'
-                }]);
-            } else {
-                setBalloons(prev => [...prev, {
-                    x: startX, y: baseSkyY + TILE_SIZE * 6, speed: (Math.random() * 0.3 + 0.5) * direction,
-                    width: TILE_SIZE * 2.5, height: TILE_SIZE * 3, type: 'balloon'
-                }]);
-            }
+        try {
+            await storageAdapter.rename(slotId, name);
+            showStatus(`Save renamed to "${name}".`, 1500);
+            return true;
+        } catch (error) {
+            console.error("Error renaming save slot:", error);
+            showStatus("Failed to rename save.", 2000);
+            return false;
         }
-    }, [TILE_SIZE, WORLD_WIDTH_PIXELS, WORLD_HEIGHT_PIXELS]);
-
-    const updateFlyingObjects = useCallback(() => {
-        setBirds(prev => prev.map((bird, i) => {
-            let newBird = { ...bird, x: bird.x + bird.speed, wingState: (Math.floor(animationFrameId.current / 5) + i) % 2 };
-            if ((newBird.speed > 0 && newBird.x > WORLD_WIDTH_PIXELS + newBird.width) ||
-                (newBird.speed < 0 && newBird.x < -newBird.width)) {
-                return null;
-            }
-            return newBird;
-        }).filter(Boolean));
-
-        setPlanes(prev => prev.map(plane => {
-            let newPlane = { ...plane, x: plane.x + plane.speed };
-            if ((newPlane.speed > 0 && newPlane.x > WORLD_WIDTH_PIXELS + newPlane.width) ||
-                (newPlane.speed < 0 && newPlane.x < -plane.width)) {
-                return null;
-            }
-            return newPlane;
-        }).filter(Boolean));
-
-        setBalloons(prev => prev.map((balloon, i) => {
-            let newBalloon = { ...balloon, x: balloon.x + balloon.speed, y: balloon.y + Math.sin(animationFrameId.current * 0.05 + i) * 0.1 };
-            if ((newBalloon.speed > 0 && newBalloon.x > WORLD_WIDTH_PIXELS + newBalloon.width) ||
-                (newBalloon.speed < 0 && newBalloon.x < -newBalloon.width)) {
-                return null;
-            }
-            return newBalloon;
-        }).filter(Boolean));
-    }, [WORLD_WIDTH_PIXELS]);
+    }, [storageAdapter, showStatus]);
 
-    const generateWorld = useCallback(() => {
-        const newWorld = [];
-        const groundStartRow = Math.floor(WORLD_HEIGHT_TILES * 0.75);
+    // --- Simulation Adapter ---
+    // Gameplay handlers only queue actions; the simulation applies them on its next tick
+    const queueAction = useCallback((action) => {
+        pendingActionsRef.current.push(action);
+    }, []);
 
-        for (let y = 0; y < WORLD_HEIGHT_TILES; y++) {
-            const row = [];
-            for (let x = 0; x < WORLD_WIDTH_TILES; x++) {
-                let tileData = { type: TILE_TYPE.SKY, crop: null };
-                if (y >= groundStartRow && y < groundStartRow + 3) {
-                    tileData.type = TILE_TYPE.GRASS;
-                } else if (y >= groundStartRow + 3) {
-                    tileData.type = TILE_TYPE.DIRT;
-                }
-                row.push(tileData);
-            }
-            newWorld.push(row);
-        }
-        setWorld(newWorld);
-
-        const groundLevelY = groundStartRow * TILE_SIZE;
-        setTrees([
-            { x: TILE_SIZE * 5, y: groundLevelY - TILE_SIZE * 5, width: TILE_SIZE * 2, height: TILE_SIZE * 5 },
-            { x: TILE_SIZE * 15, y: groundLevelY - TILE_SIZE * 5, width: TILE_SIZE * 2, height: TILE_SIZE * 5 },
-            { x: TILE_SIZE * 100, y: groundLevelY - TILE_SIZE * 6, width: TILE_SIZE * 2.5, height: TILE_SIZE * 6 },
-            { x: TILE_SIZE * 110, y: groundLevelY - TILE_SIZE * 5, width: TILE_SIZE * 2, height: TILE_SIZE * 5 },
-        ]);
-        setBarns([
-            { x: TILE_SIZE * 30, y: groundLevelY - TILE_SIZE * 7, width: TILE_SIZE * 8, height: TILE_SIZE * 7 },
-            { x: TILE_SIZE * 130, y: groundLevelY - TILE_SIZE * 8, width: TILE_SIZE * 10, height: TILE_SIZE * 8 },
-        ]);
-
-        const newClouds = [];
-        for (let i = 0; i < 5; i++) {
-            newClouds.push({
-                x: Math.random() * WORLD_WIDTH_PIXELS,
-                y: Math.random() * (WORLD_HEIGHT_PIXELS / 3),
-                width: TILE_SIZE * (5 + Math.random() * 5),
-                height: TILE_SIZE * (2 + Math.random() * 2),
-                speed: 0.2 + Math.random() * 0.3
-            });
+    // Turns events emitted by a tick into UI feedback
+    const handleSimEvents = useCallback((events) => {
+        for (const event of events) {
+            if (event.type === SIM_EVENT.STATUS) showStatus(event.message, event.duration);
+            else if (event.type === SIM_EVENT.MONEY_CHANGE) triggerMoneyChange(event.amount);
         }
-        setClouds(newClouds);
-
-        setPlayer(prev => ({ ...prev, x: WORLD_WIDTH_PIXELS / 4, y: groundLevelY - prev.height }));
-        setTractor(prev => ({ ...prev, x: WORLD_WIDTH_PIXELS / 4 + 100, y: groundLevelY - prev.height }));
-        setPlow(prev => ({ ...prev, x: WORLD_WIDTH_PIXELS / 4 + 100 - 100, y: groundLevelY - prev.height }));
-        setSeeder(prev => ({ ...prev, x: WORLD_WIDTH_PIXELS / 4 + 100 + 100, y: groundLevelY - prev.height }));
-        setCombineHarvester(prev => ({ ...prev, x: WORLD_WIDTH_PIXELS / 2 + 200, y: groundLevelY - prev.height }));
-    }, [TILE_SIZE, WORLD_HEIGHT_TILES, WORLD_WIDTH_TILES, WORLD_WIDTH_PIXELS, WORLD_HEIGHT_PIXELS, TILE_TYPE]);
-
-    const updateParticles = useCallback(() => {
-        const now = Date.now();
-        setParticles(prevParticles => {
-            return prevParticles.map(p => {
-                const elapsed = now - p.creationTime;
-                if (elapsed > p.lifetime) {
-                    return null;
-                }
-                p.vy += GRAVITY * 0.1;
-                return {
-                    ...p,
-                    x: p.x + p.vx,
-                    y: p.y + p.vy,
-                    opacity: 1 - (elapsed / p.lifetime)
-                };
-            }).filter(Boolean);
-        });
-    }, []);
+    }, [showStatus, triggerMoneyChange]);
+
+    const handleEnterExitVehicle = useCallback(() => queueAction({ type: SIM_ACTION.ENTER_EXIT_VEHICLE }), [queueAction]);
+    const handleHitchClosestAttachment = useCallback(() => queueAction({ type: SIM_ACTION.HITCH_ATTACHMENT }), [queueAction]);
+    const handleTillSoil = useCallback(() => queueAction({ type: SIM_ACTION.TILL_SOIL }), [queueAction]);
+    const handlePlantCrop = useCallback(() => queueAction({ type: SIM_ACTION.PLANT_CROP }), [queueAction]);
+    const handleHarvestCrop = useCallback(() => queueAction({ type: SIM_ACTION.HARVEST_CROP }), [queueAction]);
+    const handleWaterCrop = useCallback(() => queueAction({ type: SIM_ACTION.WATER_CROP }), [queueAction]);
+    const handleHoe = useCallback(() => queueAction({ type: SIM_ACTION.HOE }), [queueAction]);
+    const handleRefillWater = useCallback(() => queueAction({ type: SIM_ACTION.REFILL_WATER }), [queueAction]);
+    const handleSelectCrop = useCallback((cropType) => queueAction({ type: SIM_ACTION.SELECT_CROP, cropType }), [queueAction]);
 
     // --- Game Loop ---
-    const gameLoop = useCallback(() => {
+    // Runs as many fixed ticks as the real time since the last frame covers, so the game plays
+    // at the same speed on any refresh rate, then renders between the last two ticks.
+    const gameLoop = useCallback((frameTime) => {
         animationFrameId.current = requestAnimationFrame(gameLoop);
 
-        setGameTime(prevTime => (prevTime + DAY_SPEED) % 24);
+        const elapsed = lastFrameTimeRef.current === null ? 0 : frameTime - lastFrameTimeRef.current;
+        lastFrameTimeRef.current = frameTime;
+        tickAccumulatorRef.current += Math.min(Math.max(elapsed, 0), SIM_MAX_FRAME_MS);
+
+        while (tickAccumulatorRef.current >= SIM_TICK_MS) {
+            let input;
+            if (replayRef.current) {
+                // Live input is ignored while a replay plays
+                const recorded = readRecordedInput(replayRef.current.recording, simRef.current.tick, replayRef.current.cursor);
+                replayRef.current.cursor = recorded.cursor;
+                input = recorded.input;
+            } else {
+                input = { keys: getSimInputKeys(keysRef.current), actions: pendingActionsRef.current };
+                if (recordingRef.current) appendRecordedInput(recordingRef.current, simRef.current.tick, input);
+            }
+            pendingActionsRef.current = [];
 
-        if (tractor.isInVehicle) {
-            handleTractorMovement();
-        } else if (combineHarvester.isInVehicle) {
-            handleCombineMovement();
-        } else {
-            handlePlayerMovement();
-        }
+            previousSimRef.current = simRef.current;
+            simRef.current = step(simRef.current, input, SIM_TICK_MS);
+            tickAccumulatorRef.current -= SIM_TICK_MS;
+            handleSimEvents(simRef.current.events);
 
-        setPlayer(prev => updateEntityPosition(prev, world, WORLD_WIDTH_TILES));
-        setTractor(prev => updateEntityPosition(prev, world, WORLD_WIDTH_TILES));
-        setPlow(prev => updateEntityPosition(prev, world, WORLD_WIDTH_TILES));
-        setSeeder(prev => updateEntityPosition(prev, world, WORLD_WIDTH_TILES));
-        setCombineHarvester(prev => updateEntityPosition(prev, world, WORLD_WIDTH_TILES));
-
-        if (tractor.isInVehicle && tractor.equipment) {
-            let currentHitchedEntity = null;
-            if (tractor.equipment.type === 'plow') currentHitchedEntity = plow;
-            else if (tractor.equipment.type === 'seeder') currentHitchedEntity = seeder;
-
-            if (currentHitchedEntity) {
-                const newX = tractor.facing === 'right' ? tractor.x - currentHitchedEntity.width - 5 : tractor.x + tractor.width + 5;
-                const newY = tractor.y + (tractor.height - currentHitchedEntity.height);
-
-                if (currentHitchedEntity.type === 'plow') {
-                    setPlow(prev => ({ ...prev, x: newX, y: newY, onGround: tractor.onGround, vy: tractor.vy }));
-                } else if (currentHitchedEntity.type === 'seeder') {
-                    setSeeder(prev => ({ ...prev, x: newX, y: newY, onGround: tractor.onGround, vy: tractor.vy }));
-                }
-            }
-        }
-        if (!plow.isHitched && !tractor.isInVehicle) setPlow(prev => updateEntityPosition(prev, world, WORLD_WIDTH_TILES));
-        if (!seeder.isHitched && !tractor.isInVehicle) setSeeder(prev => updateEntityPosition(prev, world, WORLD_WIDTH_TILES));
-
-        if (player.isInVehicle) {
-            let currentVehicle = null;
-            if (tractor.isInVehicle) currentVehicle = tractor;
-            else if (combineHarvester.isInVehicle) currentVehicle = combineHarvester;
-
-            if (currentVehicle) {
-                setPlayer(prev => ({
-                    ...prev,
-                    x: currentVehicle.x + (currentVehicle.width / 2) - (prev.width / 2),
-                    y: currentVehicle.y - prev.height
-                }));
+            if (replayRef.current && simRef.current.tick >= replayRef.current.recording.endTick) {
+                stopReplay("Replay finished.");
             }
         }
 
-        applyPlowAction();
-        applySeederAction();
-        applyCombineAction();
-        updateCropGrowth();
-        updateClouds();
-        updateSunMoonPositions();
-        generateFlyingObject();
-        updateFlyingObjects();
-        updateParticles();
-    }, [
-        player, tractor, plow, seeder, combineHarvester, world,
-        handlePlayerMovement, handleTractorMovement, handleCombineMovement,
-        applyPlowAction, applySeederAction, applyCombineAction,
-        updateCropGrowth, updateClouds, updateSunMoonPositions,
-        generateFlyingObject, updateFlyingObjects, updateParticles, gameTime,
-        WORLD_WIDTH_TILES, DAY_SPEED
-    ]);
+        setSim(interpolateSimState(previousSimRef.current, simRef.current, tickAccumulatorRef.current / SIM_TICK_MS));
+    }, [handleSimEvents, stopReplay]);
 
     // --- Effects ---
     useEffect(() => {
-        generateWorld();
-    }, [generateWorld]);
-
-    useEffect(() => {
-        let controlledEntity = player;
-        if (tractor.isInVehicle) {
-            controlledEntity = tractor;
-        } else if (combineHarvester.isInVehicle) {
-            controlledEntity = combineHarvester;
-        }
+        const vehicleKey = getOccupiedVehicleKey(sim);
+        const controlledEntity = vehicleKey ? sim[vehicleKey] : sim.player;
 
         // Using a ref for canvas dimensions to avoid direct DOM access in render
         const canvasWidth = document.getElementById('game-canvas')?.width || 0;
@@ -1323,7 +3986,34 @@ export const GameProvider = ({ children }) => {
         setCameraX(Math.max(0, Math.min(controlledEntity.x - canvasWidth / 2, WORLD_WIDTH_PIXELS - canvasWidth)));
         setCameraY(Math.max(0, Math.min(controlledEntity.y - canvasHeight / 2, WORLD_HEIGHT_PIXELS - canvasHeight)));
 
-    }, [player, tractor, combineHarvester, WORLD_WIDTH_PIXELS, WORLD_HEIGHT_PIXELS]);
+    }, [sim]);
+
+    // Autosave on a timer and when the tab is hidden or closed.
+    // Goes through a ref so the timer and listeners don't restart every time game state changes.
+    const saveGameRef = useRef(saveGame);
+    useEffect(() => {
+        saveGameRef.current = saveGame;
+    }, [saveGame]);
+
+    useEffect(() => {
+        const intervalMinutes = gameSettings.autosaveIntervalMinutes;
+        if (!storageAdapter || !intervalMinutes) return;
+
+        const autosave = () => saveGameRef.current(AUTOSAVE_SLOT_ID, AUTOSAVE_SLOT_NAME, { quiet: true });
+        const handleVisibilityChange = () => {
+            if (document.visibilityState === 'hidden') autosave();
+        };
+
+        const autosaveTimer = setInterval(autosave, intervalMinutes * 60 * 1000);
+        window.addEventListener('beforeunload', autosave);
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+
+        return () => {
+            clearInterval(autosaveTimer);
+            window.removeEventListener('beforeunload', autosave);
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
+        };
+    }, [storageAdapter, gameSettings.autosaveIntervalMinutes]);
 
     useEffect(() => {
         animationFrameId.current = requestAnimationFrame(gameLoop);
@@ -1332,7 +4022,10 @@ export const GameProvider = ({ children }) => {
 
     useEffect(() => {
         const handleKeyDown = (e) => {
-            setKeys(prev => ({ ...prev, [e.key.toLowerCase()]: true }));
+            // Don't drive the game while typing into a form field (e.g. naming a save slot)
+            if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+
+            keysRef.current = { ...keysRef.current, [e.key.toLowerCase()]: true };
             if (e.key.toLowerCase() === 'e') {
                 handleEnterExitVehicle();
             } else if (e.key.toLowerCase() === 'h') {
@@ -1343,11 +4036,17 @@ export const GameProvider = ({ children }) => {
                 handlePlantCrop();
             } else if (e.key.toLowerCase() === 'j') {
                 handleHarvestCrop();
+            } else if (e.key.toLowerCase() === 'q') {
+                handleWaterCrop();
+            } else if (e.key.toLowerCase() === 'r') {
+                handleRefillWater();
+            } else if (e.key.toLowerCase() === 'x') {
+                handleHoe();
             }
         };
 
         const handleKeyUp = (e) => {
-            setKeys(prev => ({ ...prev, [e.key.toLowerCase()]: false }));
+            keysRef.current = { ...keysRef.current, [e.key.toLowerCase()]: false };
         };
 
         window.addEventListener('keydown', handleKeyDown);
@@ -1357,237 +4056,125 @@ export const GameProvider = ({ children }) => {
             window.removeEventListener('keydown', handleKeyDown);
             window.removeEventListener('keyup', handleKeyUp);
         };
-    }, [handleEnterExitVehicle, handleHitchClosestAttachment, handleTillSoil, handlePlantCrop, handleHarvestCrop]);
+    }, [handleEnterExitVehicle, handleHitchClosestAttachment, handleTillSoil, handlePlantCrop, handleHarvestCrop, handleWaterCrop, handleRefillWater, handleHoe]);
 
     // --- Shop and Vehicle Handlers (exposed via context) ---
-    const handleBuySeeds = useCallback((seedType, quantity) => {
-        setPlayer(prev => {
-            const seedCost = SEED_PRICES[seedType] * quantity;
-            if (prev.money >= seedCost) {
-                showStatus(`Bought ${quantity} ${seedType.replace('Seeds', '')} seeds for $${seedCost}!`, 1500);
-                triggerMoneyChange(-seedCost);
-                return {
-                    ...prev,
-                    money: prev.money - seedCost,
-                    inventory: {
-                        ...prev.inventory,
-                        [seedType]: prev.inventory[seedType] + quantity
-                    }
-                };
-            } else {
-                showStatus("Not enough money to buy seeds!", 1500);
-                return prev;
-            }
-        });
-    }, [showStatus, triggerMoneyChange]);
-
-    const handleRefuel = useCallback(() => {
-        setTractor(prev => (prev.isInVehicle ? { ...prev, fuel: prev.maxFuel } : prev));
-        setCombineHarvester(prev => (prev.isInVehicle ? { ...prev, fuel: prev.maxFuel } : prev));
-
-        let currentVehicleType = "No vehicle active";
-        if (tractor.isInVehicle) currentVehicleType = tractor.type;
-        else if (combineHarvester.isInVehicle) currentVehicleType = combineHarvester.type;
-
-        if (currentVehicleType !== "No vehicle active") {
-            showStatus(`${currentVehicleType.charAt(0).toUpperCase() + currentVehicleType.slice(1)} refueled!`, 1500);
-        } else {
-            showStatus("No vehicle active to refuel!", 1000);
-        }
-    }, [tractor.isInVehicle, combineHarvester.isInVehicle, showStatus]);
-
-    const handleSellCrops = useCallback((cropTypeToSell = null) => {
-        setPlayer(prev => {
-            let totalSoldValue = 0;
-            const newInventory = { ...prev.inventory };
-
-            if (cropTypeToSell) {
-                const amount = newInventory[cropTypeToSell] || 0;
-                if (amount > 0) {
-                    totalSoldValue += amount * CROP_PRICES[cropTypeToSell];
-                    newInventory[cropTypeToSell] = 0;
-                    showStatus(`Sold all ${cropTypeToSell} for $${totalSoldValue}!`, 1500);
-                } else {
-                    showStatus(`No ${cropTypeToSell} to sell!`, 1000);
-                }
-            } else {
-                for (const cropType in CROP_PRICES) {
-                    const amount = newInventory[cropType] || 0;
-                    if (amount > 0) {
-                        totalSoldValue += amount * CROP_PRICES[cropType];
-                        newInventory[cropType] = 0;
-                    }
-                }
-                if (totalSoldValue > 0) {
-                    showStatus(`Sold all crops for $${totalSoldValue}!`, 1500);
-                } else {
-                    showStatus("No crops to sell!", 1000);
-                }
-            }
-
-            if (totalSoldValue > 0) {
-                triggerMoneyChange(totalSoldValue);
-            }
-
-            return {
-                ...prev,
-                money: prev.money + totalSoldValue,
-                inventory: newInventory
-            };
-        });
-    }, [showStatus, triggerMoneyChange]);
-
-    const handleBuildSilo = useCallback(() => {
-        setPlayer(prev => {
-            if (prev.siloBuilt) {
-                showStatus("Silo already built!", 1500);
-                return prev;
-            }
-            const cost = STRUCTURE_PRICES.silo;
-            if (prev.money >= cost) {
-                showStatus("Silo built! Max storage increased!", 1500);
-                triggerMoneyChange(-cost);
-                setSilos(currentSilos => [...currentSilos, {
-                    x: WORLD_WIDTH_PIXELS / 2 - TILE_SIZE * 5,
-                    y: TILE_SIZE * 15 - TILE_SIZE * 8,
-                    width: TILE_SIZE * 5,
-                    height: TILE_SIZE * 8
-                }]);
-                return {
-                    ...prev,
-                    money: prev.money - cost,
-                    maxStorage: prev.maxStorage + 200,
-                    siloBuilt: true,
-                };
-            } else {
-                showStatus("Not enough money to build silo!", 1500);
-                return prev;
-            }
-        });
-    }, [showStatus, triggerMoneyChange]);
-
-    const handleUpgradeVehicle = useCallback((vehicleType) => {
-        if (vehicleType === 'tractor') {
-            setTractor(prev => {
-                const nextLevel = prev.upgradeLevel + 1;
-                if (nextLevel >= VEHICLE_UPGRADE_TIERS.tractor.length) {
-                    showStatus("Tractor is already max level!", 1500);
-                    return prev;
-                }
-                const upgradeInfo = VEHICLE_UPGRADE_TIERS.tractor[nextLevel];
-                if (player.money >= upgradeInfo.cost) {
-                    showStatus(`Tractor upgraded to level ${nextLevel}!`, 1500);
-                    triggerMoneyChange(-upgradeInfo.cost);
-                    return {
-                        ...prev,
-                        speed: upgradeInfo.speed,
-                        maxFuel: upgradeInfo.maxFuel,
-                        fuel: upgradeInfo.maxFuel,
-                        upgradeLevel: nextLevel,
-                    };
-                } else {
-                    showStatus("Not enough money to upgrade tractor!", 1500);
-                    return prev;
-                }
-            });
-        } else if (vehicleType === 'combineHarvester') {
-            setCombineHarvester(prev => {
-                const nextLevel = prev.upgradeLevel + 1;
-                if (nextLevel >= VEHICLE_UPGRADE_TIERS.combineHarvester.length) {
-                    showStatus("Combine Harvester is already max level!", 1500);
-                    return prev;
-                }
-                const upgradeInfo = VEHICLE_UPGRADE_TIERS.combineHarvester[nextLevel];
-                if (player.money >= upgradeInfo.cost) {
-                    showStatus(`Combine Harvester upgraded to level ${nextLevel}!`, 1500);
-                    triggerMoneyChange(-upgradeInfo.cost);
-                    return {
-                        ...prev,
-                        speed: upgradeInfo.speed,
-                        maxFuel: upgradeInfo.maxFuel,
-                        fuel: upgradeInfo.maxFuel,
-                        upgradeLevel: nextLevel,
-                    };
-                } else {
-                    showStatus("Not enough money to upgrade Combine Harvester!", 1500);
-                    return prev;
-                }
-            });
-        }
-    }, [player.money, showStatus, triggerMoneyChange]);
-
+    const handleBuySeeds = useCallback((cropType, quantity) => queueAction({ type: SIM_ACTION.BUY_SEEDS, cropType, quantity }), [queueAction]);
+    const handleBuySupplies = useCallback((supplyType, quantity) => queueAction({ type: SIM_ACTION.BUY_SUPPLIES, supplyType, quantity }), [queueAction]);
+    const handleRefuel = useCallback(() => queueAction({ type: SIM_ACTION.REFUEL }), [queueAction]);
+    const handleSellCrops = useCallback((cropType = null, grade = null) => queueAction({ type: SIM_ACTION.SELL_CROPS, cropType, grade }), [queueAction]);
+    const handleBuildSilo = useCallback(() => queueAction({ type: SIM_ACTION.BUILD_SILO }), [queueAction]);
+    const handleBuildSprinkler = useCallback(() => queueAction({ type: SIM_ACTION.BUILD_SPRINKLER }), [queueAction]);
+    const handleUpgradeVehicle = useCallback((vehicleType) => queueAction({ type: SIM_ACTION.UPGRADE_VEHICLE, vehicleType }), [queueAction]);
+    const handleAcceptContract = useCallback((contractId) => queueAction({ type: SIM_ACTION.ACCEPT_CONTRACT, contractId }), [queueAction]);
+    const handleDeliverContract = useCallback((contractId) => queueAction({ type: SIM_ACTION.DELIVER_CONTRACT, contractId }), [queueAction]);
+    const handleBuyParcel = useCallback((parcelId) => queueAction({ type: SIM_ACTION.BUY_PARCEL, parcelId }), [queueAction]);
+    const handleTakeLoan = useCallback((amount) => queueAction({ type: SIM_ACTION.TAKE_LOAN, amount }), [queueAction]);
+    const handleRepayLoan = useCallback((loanId) => queueAction({ type: SIM_ACTION.REPAY_LOAN, loanId }), [queueAction]);
+    const handleAcceptBailout = useCallback(() => queueAction({ type: SIM_ACTION.ACCEPT_BAILOUT }), [queueAction]);
 
     const contextValue = {
-        // Game State
-        player, setPlayer,
-        tractor, setTractor,
-        plow, setPlow,
-        seeder, setSeeder,
-        combineHarvester, setCombineHarvester,
-        world, setWorld,
-        trees, setTrees,
-        barns, setBarns,
-        silos, setSilos,
-        clouds, setClouds,
-        birds, setBirds,
-        planes, setPlanes,
-        balloons, setBalloons,
-        particles, setParticles,
-        gameTime, setGameTime,
+        // Game State (read-only snapshot of the simulation)
+        sim,
+        player: sim.player,
+        tractor: sim.tractor,
+        plow: sim.plow,
+        seeder: sim.seeder,
+        spreader: sim.spreader,
+        sprayer: sim.sprayer,
+        combineHarvester: sim.combineHarvester,
+        world: sim.world,
+        trees: sim.trees,
+        barns: sim.barns,
+        silos: sim.silos,
+        wells: sim.wells,
+        sprinklers: sim.sprinklers,
+        parcels: sim.parcels,
+        clouds: sim.clouds,
+        birds: sim.birds,
+        planes: sim.planes,
+        balloons: sim.balloons,
+        particles: sim.particles,
+        gameTime: sim.gameTime,
+        day: sim.day,
+        tick: sim.tick,
+        weather: sim.weather,
+        weatherForecast: sim.weatherForecast,
+        market: sim.market,
+        contracts: sim.contracts,
+        ledger: sim.ledger,
+        bank: sim.bank,
+        selectedCropType: sim.selectedCropType,
+        seed: sim.seed,
+        sunState: sim.sunState,
+        moonState: sim.moonState,
+
+        // UI State
         cameraX, setCameraX,
         cameraY, setCameraY,
-        keys, setKeys,
         statusMessage, setStatusMessage,
         statusVisible, setStatusVisible,
-        selectedCropType, setSelectedCropType,
         isShopOpen, setIsShopOpen,
         isSettingsOpen, setIsSettingsOpen,
+        isFinanceOpen, setIsFinanceOpen,
         moneyChangeAmount, setMoneyChangeAmount,
         moneyChangeVisible, setMoneyChangeVisible,
         moneyChangePosition, setMoneyChangePosition,
-        sunState, setSunState,
-        moonState, setMoonState,
         tractorImageRef, tractorImageLoaded,
 
-        // Game Logic Handlers
-        handlePlayerMovement,
-        handleTractorMovement,
-        handleCombineMovement,
+        // Game Actions (queued for the next simulation tick)
         handleEnterExitVehicle,
         handleHitchClosestAttachment,
         handleTillSoil,
         handlePlantCrop,
         handleHarvestCrop,
-        applyPlowAction,
-        applySeederAction,
-        applyCombineAction,
-        updateCropGrowth,
-        updateClouds,
-        updateSunMoonPositions,
-        generateFlyingObject,
-        updateFlyingObjects,
-        updateParticles,
-        generateWorld,
-
-        // UI & Shop Handlers
-        showStatus,
-        triggerMoneyChange,
-        createParticles,
+        handleWaterCrop,
+        handleHoe,
+        handleRefillWater,
+        handleSelectCrop,
         handleBuySeeds,
+        handleBuySupplies,
         handleRefuel,
         handleSellCrops,
         handleBuildSilo,
+        handleBuildSprinkler,
         handleUpgradeVehicle,
+        handleAcceptContract,
+        handleDeliverContract,
+        handleBuyParcel,
+        handleTakeLoan,
+        handleRepayLoan,
+        handleAcceptBailout,
+
+        // UI Handlers
+        showStatus,
+        triggerMoneyChange,
+        exportLedger,
 
-        // Firebase
+        // Firebase & Save Storage
         saveGame,
         loadGame,
+        listSaveSlots,
+        deleteSaveSlot,
+        renameSaveSlot,
+        exportGame,
+        importGame,
+        startNewWorld,
+        replayMode,
+        startRecording,
+        stopRecording,
+        playReplay,
+        stopReplay,
+        lastSaveInfo,
+        gameSettings,
+        updateGameSettings,
         isAuthReady,
         userId,
+        storageAdapter,
 
         // Constants & Utils
         TILE_SIZE, GRAVITY, WORLD_WIDTH_TILES, WORLD_HEIGHT_TILES, WORLD_WIDTH_PIXELS, WORLD_HEIGHT_PIXELS,
-        CROP_TYPE, TILE_COLORS, CROP_PRICES, SEED_PRICES, STRUCTURE_PRICES, VEHICLE_UPGRADE_TIERS,
+        CROP_TYPE, CROP_DEFINITIONS, TILE_COLORS, SUPPLY_PRICES, STRUCTURE_PRICES, VEHICLE_UPGRADE_TIERS,
         DEEP_NIGHT_SKY_COLOR, DAWN_SKY_COLOR, SUNRISE_TINT_COLOR, MORNING_SKY_COLOR, AFTERNOON_SKY_COLOR,
         SUNSET_TINT_COLOR, DUSK_SKY_COLOR,
         getSkyColor, getAmbientLightFactor, lerpColor, applyLightFactorToColor,
@@ -1608,9 +4195,9 @@ const GameCanvas = () => {
     const canvasRef = useRef(null);
     const minimapCanvasRef = useRef(null);
     const {
-        world, trees, barns, silos, clouds, birds, planes, balloons, particles,
-        player, tractor, plow, seeder, combineHarvester,
-        gameTime, cameraX, cameraY, tractorImageRef, tractorImageLoaded,
+        world, trees, barns, silos, wells, sprinklers, parcels, clouds, birds, planes, balloons, particles,
+        player, tractor, plow, seeder, spreader, sprayer, combineHarvester,
+        gameTime, day, tick, weather, cameraX, cameraY, tractorImageRef, tractorImageLoaded,
         sunState, moonState,
     } = useGame();
 
@@ -1630,12 +4217,21 @@ const GameCanvas = () => {
 
         ctx.clearRect(0, 0, canvas.width, canvas.height);
 
+        const { season } = getCalendarDate(day);
+
         // 1. Draw Sky Background
-        ctx.fillStyle = getSkyColor(gameTime, skyColors);
+        ctx.fillStyle = getSkyColor(gameTime, skyColors, season);
         ctx.fillRect(0, 0, canvas.width, canvas.height);
 
+        // Overcast skies are greyed out
+        const overcast = { [WEATHER.CLOUDY]: 0.2, [WEATHER.RAIN]: 0.35, [WEATHER.THUNDERSTORM]: 0.5 }[weather.type];
+        if (overcast) {
+            ctx.fillStyle = `rgba(90, 90, 100, ${overcast})`;
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+        }
+
         // 2. Draw Sun and Moon
-        const ambientLightFactor = getAmbientLightFactor(gameTime);
+        const ambientLightFactor = getAmbientLightFactor(gameTime, season);
         const drawSun = (sunObj) => {
             if (!sunObj.visible) return;
             ctx.fillStyle = sunObj.color;
@@ -1737,39 +4333,133 @@ const GameCanvas = () => {
                         ctx.fillRect(drawX, drawY, TILE_SIZE, TILE_SIZE);
                         ctx.fillStyle = applyLightFactorToColor(TILE_COLORS[TILE_TYPE.GRASS], ambientLightFactor);
                         ctx.fillRect(drawX, drawY, TILE_SIZE, TILE_SIZE / 2); // Grass top layer
+                    } else if (tile.type === TILE_TYPE.WATER) {
+                        ctx.fillStyle = applyLightFactorToColor(TILE_COLORS[TILE_TYPE.WATER], ambientLightFactor);
+                        ctx.fillRect(drawX, drawY, TILE_SIZE, TILE_SIZE);
+                        if (y > 0 && world[y - 1][x].type !== TILE_TYPE.WATER) {
+                            ctx.fillStyle = applyLightFactorToColor('#8EC9FF', ambientLightFactor);
+                            ctx.fillRect(drawX, drawY, TILE_SIZE, TILE_SIZE * 0.15); // Water surface highlight
+                        }
+                    } else if (tile.type === TILE_TYPE.ROCK) {
+                        ctx.fillStyle = applyLightFactorToColor(TILE_COLORS[TILE_TYPE.ROCK], ambientLightFactor);
+                        ctx.fillRect(drawX, drawY, TILE_SIZE, TILE_SIZE);
+                        ctx.fillStyle = applyLightFactorToColor('#5E5E5E', ambientLightFactor);
+                        ctx.fillRect(drawX + TILE_SIZE * 0.15, drawY + TILE_SIZE * 0.2, TILE_SIZE * 0.3, TILE_SIZE * 0.25);
+                        ctx.fillRect(drawX + TILE_SIZE * 0.55, drawY + TILE_SIZE * 0.6, TILE_SIZE * 0.3, TILE_SIZE * 0.2);
                     } else if (tile.type === TILE_TYPE.CROP_PLANTED || tile.type === TILE_TYPE.CROP_GROWN) {
                         ctx.fillStyle = applyLightFactorToColor(TILE_COLORS[TILE_TYPE.TILLED], ambientLightFactor);
                         ctx.fillRect(drawX, drawY, TILE_SIZE, TILE_SIZE);
 
                         if (tile.crop) {
-                            const cropColor = TILE_COLORS[tile.crop.type][tile.crop.stage];
+                            const crop = CROP_DEFINITIONS[tile.crop.type];
+                            const cropColor = tile.crop.withered ? WITHERED_CROP_COLOR : getCropColor(tile.crop);
+                            const ripeStage = crop.stages.length - 1;
                             ctx.fillStyle = applyLightFactorToColor(cropColor, ambientLightFactor);
-                            if (tile.crop.stage === CROP_STAGE.SEED) {
+                            if (tile.crop.stage === 0) {
                                 ctx.fillRect(drawX + TILE_SIZE * 0.4, drawY + TILE_SIZE * 0.7, TILE_SIZE * 0.2, TILE_SIZE * 0.2);
-                            } else if (tile.crop.stage === CROP_STAGE.YOUNG) {
-                                ctx.fillRect(drawX + TILE_SIZE * 0.3, drawY + TILE_SIZE * 0.5, TILE_SIZE * 0.4, TILE_SIZE * 0.5);
-                            } else if (tile.crop.stage === CROP_STAGE.MATURE) {
-                                if (tile.crop.type === 'wheat') {
+                            } else if (tile.crop.stage < ripeStage) {
+                                // Sprouts get taller with each stage towards ripeness
+                                const sproutHeight = TILE_SIZE * (0.3 + 0.4 * tile.crop.stage / ripeStage);
+                                ctx.fillRect(drawX + TILE_SIZE * 0.3, drawY + TILE_SIZE - sproutHeight, TILE_SIZE * 0.4, sproutHeight);
+                            } else {
+                                if (tile.crop.flattened) {
+                                    ctx.fillRect(drawX, drawY + TILE_SIZE * 0.75, TILE_SIZE, TILE_SIZE * 0.25); // Lying flat after a storm
+                                } else if (crop.sprite === 'grain') {
                                     ctx.fillRect(drawX + TILE_SIZE * 0.2, drawY + TILE_SIZE * 0.2, TILE_SIZE * 0.6, TILE_SIZE * 0.8);
-                                } else if (tile.crop.type === 'corn') {
+                                } else if (crop.sprite === 'stalk') {
                                     ctx.fillRect(drawX + TILE_SIZE * 0.45, drawY + TILE_SIZE * 0.2, TILE_SIZE * 0.1, TILE_SIZE * 0.8);
-                                    ctx.fillStyle = applyLightFactorToColor(TILE_COLORS.corn[CROP_STAGE.MATURE], ambientLightFactor);
+                                    ctx.fillStyle = applyLightFactorToColor(cropColor, ambientLightFactor);
                                     ctx.fillRect(drawX + TILE_SIZE * 0.3, drawY + TILE_SIZE * 0.4, TILE_SIZE * 0.4, TILE_SIZE * 0.3);
-                                } else if (tile.crop.type === 'potato') {
+                                } else if (crop.sprite === 'tuber') {
                                     ctx.fillRect(drawX + TILE_SIZE * 0.3, drawY + TILE_SIZE * 0.3, TILE_SIZE * 0.4, TILE_SIZE * 0.4);
-                                    ctx.fillStyle = applyLightFactorToColor(TILE_COLORS.potato[CROP_STAGE.MATURE], ambientLightFactor);
+                                    ctx.fillStyle = applyLightFactorToColor(cropColor, ambientLightFactor);
                                     ctx.beginPath();
                                     ctx.arc(drawX + TILE_SIZE * 0.3, drawY + TILE_SIZE * 0.9, TILE_SIZE * 0.15, 0, Math.PI * 2);
                                     ctx.arc(drawX + TILE_SIZE * 0.7, drawY + TILE_SIZE * 0.9, TILE_SIZE * 0.15, 0, Math.PI * 2);
                                     ctx.fill();
+                                } else if (crop.sprite === 'vine') {
+                                    ctx.fillStyle = applyLightFactorToColor(tile.crop.withered ? WITHERED_CROP_COLOR : '#6B8E23', ambientLightFactor);
+                                    ctx.fillRect(drawX + TILE_SIZE * 0.25, drawY + TILE_SIZE * 0.15, TILE_SIZE * 0.5, TILE_SIZE * 0.85);
+                                    ctx.fillStyle = applyLightFactorToColor(cropColor, ambientLightFactor);
+                                    ctx.beginPath();
+                                    ctx.arc(drawX + TILE_SIZE * 0.35, drawY + TILE_SIZE * 0.4, TILE_SIZE * 0.12, 0, Math.PI * 2);
+                                    ctx.arc(drawX + TILE_SIZE * 0.65, drawY + TILE_SIZE * 0.6, TILE_SIZE * 0.12, 0, Math.PI * 2);
+                                    ctx.arc(drawX + TILE_SIZE * 0.4, drawY + TILE_SIZE * 0.8, TILE_SIZE * 0.12, 0, Math.PI * 2);
+                                    ctx.fill();
                                 }
                             }
+
+                            // Blotches on diseased plants, specks of bugs on infested ones
+                            if (tile.crop.diseased && !tile.crop.withered) {
+                                ctx.fillStyle = applyLightFactorToColor('#6B4E71', ambientLightFactor);
+                                ctx.fillRect(drawX + TILE_SIZE * 0.3, drawY + TILE_SIZE * 0.55, TILE_SIZE * 0.15, TILE_SIZE * 0.12);
+                                ctx.fillRect(drawX + TILE_SIZE * 0.55, drawY + TILE_SIZE * 0.75, TILE_SIZE * 0.15, TILE_SIZE * 0.12);
+                            }
+                            if (tile.crop.pests) {
+                                ctx.fillStyle = applyLightFactorToColor('#1A1A1A', ambientLightFactor);
+                                ctx.fillRect(drawX + TILE_SIZE * 0.2, drawY + TILE_SIZE * 0.4, TILE_SIZE * 0.08, TILE_SIZE * 0.08);
+                                ctx.fillRect(drawX + TILE_SIZE * 0.6, drawY + TILE_SIZE * 0.5, TILE_SIZE * 0.08, TILE_SIZE * 0.08);
+                                ctx.fillRect(drawX + TILE_SIZE * 0.45, drawY + TILE_SIZE * 0.85, TILE_SIZE * 0.08, TILE_SIZE * 0.08);
+                            }
                         }
                     } else {
                         ctx.fillStyle = applyLightFactorToColor(TILE_COLORS[tile.type], ambientLightFactor);
                         ctx.fillRect(drawX, drawY, TILE_SIZE, TILE_SIZE);
                     }
+
+                    // Weed tufts poke up from the top of the tile
+                    if (tile.weeds) {
+                        ctx.fillStyle = applyLightFactorToColor('#556B2F', ambientLightFactor);
+                        ctx.fillRect(drawX + TILE_SIZE * 0.1, drawY - TILE_SIZE * 0.3, TILE_SIZE * 0.1, TILE_SIZE * 0.4);
+                        ctx.fillRect(drawX + TILE_SIZE * 0.2, drawY - TILE_SIZE * 0.15, TILE_SIZE * 0.15, TILE_SIZE * 0.25);
+                        ctx.fillRect(drawX + TILE_SIZE * 0.7, drawY - TILE_SIZE * 0.25, TILE_SIZE * 0.1, TILE_SIZE * 0.35);
+                    }
+
+                    // Parched fields show pale, cracked earth along the top
+                    if ((tile.type === TILE_TYPE.TILLED || tile.crop) && tile.soil && tile.soil.moisture < CROP_STALL_MOISTURE) {
+                        ctx.fillStyle = applyLightFactorToColor('#E3C9A0', ambientLightFactor);
+                        ctx.fillRect(drawX, drawY, TILE_SIZE, TILE_SIZE * 0.15);
+                        ctx.fillRect(drawX + TILE_SIZE * 0.3, drawY + TILE_SIZE * 0.15, TILE_SIZE * 0.08, TILE_SIZE * 0.25);
+                        ctx.fillRect(drawX + TILE_SIZE * 0.7, drawY + TILE_SIZE * 0.15, TILE_SIZE * 0.08, TILE_SIZE * 0.2);
+                    }
+                }
+            }
+        }
+
+        // Parcel borders run down from a post above the ground. Land for sale is shaded and has a price sign.
+        for (const parcel of parcels) {
+            if (parcel.endX < startTileX || parcel.startX > endTileX) continue;
+
+            if (!parcel.owned) {
+                ctx.fillStyle = 'rgba(0, 0, 0, 0.25)';
+                for (let x = Math.max(parcel.startX, startTileX); x < Math.min(parcel.endX, endTileX); x++) {
+                    const surfaceY = getSurfaceRow(world, x) * TILE_SIZE;
+                    ctx.fillRect(x * TILE_SIZE - cameraX, surfaceY - cameraY, TILE_SIZE, WORLD_HEIGHT_PIXELS - surfaceY);
                 }
+
+                const signX = ((parcel.startX + parcel.endX) / 2) * TILE_SIZE - cameraX;
+                const signY = getSurfaceRow(world, Math.floor((parcel.startX + parcel.endX) / 2)) * TILE_SIZE - cameraY;
+                ctx.fillStyle = applyLightFactorToColor('#8B5A2B', ambientLightFactor);
+                ctx.fillRect(signX - 2, signY - TILE_SIZE * 2, 4, TILE_SIZE * 2);
+                ctx.fillStyle = applyLightFactorToColor('#F5DEB3', ambientLightFactor);
+                ctx.fillRect(signX - TILE_SIZE * 2, signY - TILE_SIZE * 3, TILE_SIZE * 4, TILE_SIZE * 1.2);
+                ctx.fillStyle = '#3E2723';
+                ctx.font = `bold ${Math.round(TILE_SIZE * 0.6)}px monospace`;
+                ctx.textAlign = 'center';
+                ctx.fillText(`For sale $${parcel.price}`, signX, signY - TILE_SIZE * 2.15);
+            }
+
+            if (parcel.startX > 0) {
+                const borderX = parcel.startX * TILE_SIZE - cameraX;
+                const surfaceY = Math.min(getSurfaceRow(world, parcel.startX - 1), getSurfaceRow(world, parcel.startX)) * TILE_SIZE - cameraY;
+                ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+                ctx.lineWidth = 2;
+                ctx.setLineDash([6, 6]);
+                ctx.beginPath();
+                ctx.moveTo(borderX, surfaceY - TILE_SIZE * 1.5);
+                ctx.lineTo(borderX, WORLD_HEIGHT_PIXELS - cameraY);
+                ctx.stroke();
+                ctx.setLineDash([]);
             }
         }
 
@@ -1866,12 +4556,52 @@ const GameCanvas = () => {
             ctx.fillRect(silo.x - cameraX + silo.width * 0.4, silo.y - cameraY + silo.height * 0.7, silo.width * 0.2, silo.height * 0.2);
         };
 
+        const drawWell = (well) => {
+            const stoneColor = applyLightFactorToColor('#A9A9A9', ambientLightFactor);
+            const postColor = applyLightFactorToColor('#8B4513', ambientLightFactor);
+            const roofColor = applyLightFactorToColor('#A52A2A', ambientLightFactor);
+
+            // Stone ring
+            ctx.fillStyle = stoneColor;
+            ctx.fillRect(well.x - cameraX, well.y - cameraY + well.height * 0.6, well.width, well.height * 0.4);
+            ctx.fillStyle = applyLightFactorToColor('#1F3A5F', ambientLightFactor);
+            ctx.fillRect(well.x - cameraX + well.width * 0.1, well.y - cameraY + well.height * 0.6, well.width * 0.8, well.height * 0.08);
+
+            // Posts, roof and bucket
+            ctx.fillStyle = postColor;
+            ctx.fillRect(well.x - cameraX + well.width * 0.05, well.y - cameraY + well.height * 0.2, well.width * 0.1, well.height * 0.4);
+            ctx.fillRect(well.x - cameraX + well.width * 0.85, well.y - cameraY + well.height * 0.2, well.width * 0.1, well.height * 0.4);
+            ctx.fillStyle = roofColor;
+            ctx.beginPath();
+            ctx.moveTo(well.x - cameraX - well.width * 0.1, well.y - cameraY + well.height * 0.25);
+            ctx.lineTo(well.x - cameraX + well.width * 0.5, well.y - cameraY);
+            ctx.lineTo(well.x - cameraX + well.width * 1.1, well.y - cameraY + well.height * 0.25);
+            ctx.closePath();
+            ctx.fill();
+            ctx.fillStyle = postColor;
+            ctx.fillRect(well.x - cameraX + well.width * 0.4, well.y - cameraY + well.height * 0.35, well.width * 0.2, well.height * 0.15);
+        };
+        const drawSprinkler = (sprinkler) => {
+            ctx.fillStyle = applyLightFactorToColor('#708090', ambientLightFactor);
+            ctx.fillRect(sprinkler.x - cameraX + sprinkler.width * 0.35, sprinkler.y - cameraY + sprinkler.height * 0.2, sprinkler.width * 0.3, sprinkler.height * 0.8);
+            ctx.fillStyle = applyLightFactorToColor('#2F4F4F', ambientLightFactor);
+            ctx.fillRect(sprinkler.x - cameraX, sprinkler.y - cameraY + sprinkler.height * 0.1, sprinkler.width, sprinkler.height * 0.15);
+
+            // Spray arcs
+            ctx.strokeStyle = applyLightFactorToColor('#8EC9FF', ambientLightFactor);
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.arc(sprinkler.x - cameraX + sprinkler.width / 2, sprinkler.y - cameraY + sprinkler.height * 0.6, TILE_SIZE * 0.9, Math.PI * 1.15, Math.PI * 1.85);
+            ctx.stroke();
+        };
 
         for (const tree of trees) { drawTree(tree); }
         for (const barn of barns) { drawBarn(barn); }
         for (const silo of silos) { drawSilo(silo); } // Draw silos
+        for (const well of wells) { drawWell(well); }
+        for (const sprinkler of sprinklers) { drawSprinkler(sprinkler); }
 
-        // 7. Draw unhitched attachments (plow, seeder)
+        // 7. Draw unhitched attachments (plow, seeder, spreader)
         const drawPlow = (p) => {
             const frameColor = applyLightFactorToColor('#8B4513', ambientLightFactor);
             const bladeColor = applyLightFactorToColor('#696969', ambientLightFactor);
@@ -1948,8 +4678,77 @@ const GameCanvas = () => {
             ctx.fill();
         };
 
-        if (!plow.isHitched) drawPlow(plow);
-        if (!seeder.isHitched) drawSeeder(seeder);
+        const drawSpreader = (s) => {
+            const frameColor = applyLightFactorToColor('#2E5E8C', ambientLightFactor);
+            const hopperColor = applyLightFactorToColor('#4682B4', ambientLightFactor);
+            const fertilizerColor = applyLightFactorToColor('#F5F5DC', ambientLightFactor);
+
+            // Funnel-shaped hopper with fertilizer showing at the top
+            ctx.fillStyle = hopperColor;
+            ctx.beginPath();
+            ctx.moveTo(s.x - cameraX + s.width * 0.1, s.y - cameraY);
+            ctx.lineTo(s.x - cameraX + s.width * 0.9, s.y - cameraY);
+            ctx.lineTo(s.x - cameraX + s.width * 0.6, s.y - cameraY + s.height * 0.55);
+            ctx.lineTo(s.x - cameraX + s.width * 0.4, s.y - cameraY + s.height * 0.55);
+            ctx.closePath();
+            ctx.fill();
+            ctx.fillStyle = fertilizerColor;
+            ctx.fillRect(s.x - cameraX + s.width * 0.12, s.y - cameraY, s.width * 0.76, s.height * 0.08);
+
+            ctx.fillStyle = frameColor;
+            ctx.fillRect(s.x - cameraX, s.y - cameraY + s.height * 0.55, s.width, s.height * 0.15);
+
+            // Spinning disc
+            ctx.fillStyle = applyLightFactorToColor('#A9A9A9', ambientLightFactor);
+            ctx.fillRect(s.x - cameraX + s.width * 0.3, s.y - cameraY + s.height * 0.7, s.width * 0.4, s.height * 0.06);
+
+            ctx.fillStyle = applyLightFactorToColor('#444444', ambientLightFactor);
+            ctx.beginPath();
+            ctx.arc(s.x - cameraX + s.width * 0.15, s.y - cameraY + s.height * 0.8, TILE_SIZE * 0.4, 0, Math.PI * 2);
+            ctx.arc(s.x - cameraX + s.width * 0.85, s.y - cameraY + s.height * 0.8, TILE_SIZE * 0.4, 0, Math.PI * 2);
+            ctx.fill();
+        };
+
+        const drawSprayer = (s) => {
+            // Tank with a long boom of nozzles below it
+            ctx.fillStyle = applyLightFactorToColor('#E0E0E0', ambientLightFactor);
+            ctx.fillRect(s.x - cameraX + s.width * 0.2, s.y - cameraY, s.width * 0.6, s.height * 0.5);
+            ctx.fillStyle = applyLightFactorToColor('#5F9EA0', ambientLightFactor);
+            ctx.fillRect(s.x - cameraX + s.width * 0.2, s.y - cameraY + s.height * 0.2, s.width * 0.6, s.height * 0.08);
+
+            ctx.fillStyle = applyLightFactorToColor('#8B0000', ambientLightFactor);
+            ctx.fillRect(s.x - cameraX, s.y - cameraY + s.height * 0.5, s.width, s.height * 0.1);
+            for (let i = 0; i < 5; i++) {
+                ctx.fillRect(s.x - cameraX + s.width * (0.05 + i * 0.22), s.y - cameraY + s.height * 0.6, s.width * 0.04, s.height * 0.1);
+            }
+
+            ctx.fillStyle = applyLightFactorToColor('#444444', ambientLightFactor);
+            ctx.beginPath();
+            ctx.arc(s.x - cameraX + s.width * 0.3, s.y - cameraY + s.height * 0.8, TILE_SIZE * 0.4, 0, Math.PI * 2);
+            ctx.arc(s.x - cameraX + s.width * 0.7, s.y - cameraY + s.height * 0.8, TILE_SIZE * 0.4, 0, Math.PI * 2);
+            ctx.fill();
+        };
+
+        // Rotates the canvas around an entity's bottom centre so it sits along the slope it's on
+        const drawTilted = (entity, draw) => {
+            if (!entity.tilt) {
+                draw(entity);
+                return;
+            }
+            const pivotX = entity.x - cameraX + entity.width / 2;
+            const pivotY = entity.y - cameraY + entity.height;
+            ctx.save();
+            ctx.translate(pivotX, pivotY);
+            ctx.rotate(entity.tilt);
+            ctx.translate(-pivotX, -pivotY);
+            draw(entity);
+            ctx.restore();
+        };
+
+        if (!plow.isHitched) drawTilted(plow, drawPlow);
+        if (!seeder.isHitched) drawTilted(seeder, drawSeeder);
+        if (!spreader.isHitched) drawTilted(spreader, drawSpreader);
+        if (!sprayer.isHitched) drawTilted(sprayer, drawSprayer);
 
         // 8. Draw vehicles (tractor and combine)
         const drawTractor = (tr) => {
@@ -2071,14 +4870,18 @@ const GameCanvas = () => {
             ctx.restore();
         };
 
-        drawTractor(tractor);
-        drawCombineHarvester(combineHarvester);
+        drawTilted(tractor, drawTractor);
+        drawTilted(combineHarvester, drawCombineHarvester);
 
         // 9. Draw hitched equipment (only for tractor)
         if (tractor.equipment?.type === 'plow') {
-            drawPlow(plow);
+            drawTilted(plow, drawPlow);
         } else if (tractor.equipment?.type === 'seeder') {
-            drawSeeder(seeder);
+            drawTilted(seeder, drawSeeder);
+        } else if (tractor.equipment?.type === 'spreader') {
+            drawTilted(spreader, drawSpreader);
+        } else if (tractor.equipment?.type === 'sprayer') {
+            drawTilted(sprayer, drawSprayer);
         }
 
         // 10. Draw Player
@@ -2146,7 +4949,48 @@ const GameCanvas = () => {
             ctx.restore();
         }
 
-        // 12. Draw the minimap last to ensure it's on top
+        // 12. Draw weather effects over the scene. Drops and flakes are placed from the tick, so they need no state.
+        const drawPrecipitation = (count, fallSpeed, drift, draw) => {
+            for (let i = 0; i < count; i++) {
+                const x = ((i * 7919) % canvas.width + tick * drift + canvas.width * 10) % canvas.width;
+                const y = ((i * 104729) % canvas.height + tick * fallSpeed * (0.8 + (i % 5) * 0.1)) % canvas.height;
+                draw(x, y);
+            }
+        };
+
+        if (weather.type === WEATHER.RAIN || weather.type === WEATHER.THUNDERSTORM) {
+            const isStorm = weather.type === WEATHER.THUNDERSTORM;
+            ctx.strokeStyle = 'rgba(174, 194, 224, 0.6)';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            drawPrecipitation(isStorm ? 220 : 120, isStorm ? 14 : 10, isStorm ? -3 : -1, (x, y) => {
+                ctx.moveTo(x, y);
+                ctx.lineTo(x - (isStorm ? 4 : 2), y + 10);
+            });
+            ctx.stroke();
+
+            // Lightning flash every few seconds
+            if (isStorm && tick % 420 < 6) {
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+                ctx.fillRect(0, 0, canvas.width, canvas.height);
+            }
+        } else if (weather.type === WEATHER.FROST) {
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+            drawPrecipitation(80, 1.5, 0.5, (x, y) => ctx.fillRect(x, y, 2, 2));
+
+            // Rime on the ground surface
+            ctx.fillStyle = 'rgba(235, 245, 255, 0.8)';
+            for (let x = Math.floor(cameraX / TILE_SIZE); x <= Math.ceil((cameraX + canvas.width) / TILE_SIZE); x++) {
+                if (x < 0 || x >= WORLD_WIDTH_TILES) continue;
+                const surfaceRow = getSurfaceRow(world, x);
+                ctx.fillRect(x * TILE_SIZE - cameraX, surfaceRow * TILE_SIZE - cameraY, TILE_SIZE, TILE_SIZE * 0.2);
+            }
+        } else if (weather.type === WEATHER.DROUGHT) {
+            ctx.fillStyle = 'rgba(255, 170, 60, 0.12)'; // Heat haze
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+        }
+
+        // 13. Draw the minimap last to ensure it's on top
         const minimapScaleX = minimapCanvas.width / WORLD_WIDTH_PIXELS;
         const minimapScaleY = minimapCanvas.height / WORLD_HEIGHT_PIXELS;
 
@@ -2157,7 +5001,7 @@ const GameCanvas = () => {
         for (let y = 0; y < WORLD_HEIGHT_TILES; y++) {
             for (let x = 0; x < WORLD_WIDTH_TILES; x++) {
                 const tile = world[y][x];
-                let color = getSkyColor(gameTime, skyColors);
+                let color = getSkyColor(gameTime, skyColors, season);
 
                 if (tile.type === TILE_TYPE.GRASS) {
                     color = TILE_COLORS[TILE_TYPE.GRASS];
@@ -2165,9 +5009,11 @@ const GameCanvas = () => {
                     color = TILE_COLORS[TILE_TYPE.DIRT];
                 } else if (tile.type === TILE_TYPE.TILLED) {
                     color = TILE_COLORS[TILE_TYPE.TILLED];
+                } else if (tile.type === TILE_TYPE.WATER || tile.type === TILE_TYPE.ROCK) {
+                    color = TILE_COLORS[tile.type];
                 } else if (tile.type === TILE_TYPE.CROP_PLANTED || tile.type === TILE_TYPE.CROP_GROWN) {
                     if (tile.crop) {
-                        color = TILE_COLORS[tile.crop.type][tile.crop.stage];
+                        color = getCropColor(tile.crop);
                     }
                 }
                 minimapCtx.fillStyle = applyLightFactorToColor(color, ambientLightFactor);
@@ -2175,6 +5021,19 @@ const GameCanvas = () => {
             }
         }
 
+        // Land for sale is shaded, with a line at every parcel border
+        for (const parcel of parcels) {
+            const parcelX = parcel.startX * TILE_SIZE * minimapScaleX;
+            if (!parcel.owned) {
+                minimapCtx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+                minimapCtx.fillRect(parcelX, 0, (parcel.endX - parcel.startX) * TILE_SIZE * minimapScaleX, minimapCanvas.height);
+            }
+            if (parcel.startX > 0) {
+                minimapCtx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+                minimapCtx.fillRect(parcelX, 0, 1, minimapCanvas.height);
+            }
+        }
+
         minimapCtx.fillStyle = applyLightFactorToColor('#8B4513', ambientLightFactor);
         for (const tree of trees) {
             minimapCtx.fillRect(tree.x * minimapScaleX, tree.y * minimapScaleY, tree.width * minimapScaleX, tree.height * minimapScaleY);
@@ -2205,12 +5064,12 @@ const GameCanvas = () => {
         const animationFrame = requestAnimationFrame(drawGame);
         return () => cancelAnimationFrame(animationFrame);
     }, [
-        world, trees, barns, silos, clouds, birds, planes, balloons, particles,
-        player, tractor, plow, seeder, combineHarvester,
-        gameTime, cameraX, cameraY, tractorImageLoaded,
+        world, trees, barns, silos, wells, sprinklers, clouds, birds, planes, balloons, particles,
+        player, tractor, plow, seeder, spreader, sprayer, combineHarvester, parcels,
+        gameTime, day, tick, weather, cameraX, cameraY, tractorImageLoaded,
         sunState, moonState,
         TILE_SIZE, WORLD_WIDTH_TILES, WORLD_WIDTH_PIXELS,
-        TILE_COLORS, CROP_STAGE, TILE_TYPE,
+        TILE_COLORS, CROP_DEFINITIONS, TILE_TYPE,
         getSkyColor, getAmbientLightFactor, applyLightFactorToColor,
         skyColors
     ]);
@@ -2218,7 +5077,7 @@ const GameCanvas = () => {
     return (
         <>
             <canvas id="game-canvas" ref={canvasRef} width="1200" height="600" className="border-2 border-white rounded-lg max-w-full max-h-[80vh] aspect-video"></canvas>
-            <canvas ref={minimapCanvasRef} width="200" height="100" className="absolute bottom-5 right-5 border-2 border-white bg-black bg-opacity-70 rounded-lg"></canvas>
+            <canvas id="minimap-canvas" ref={minimapCanvasRef} width="200" height="100" className="absolute bottom-5 right-5 border-2 border-white bg-black bg-opacity-70 rounded-lg"></canvas>
         </>
     );
 };
@@ -2227,13 +5086,43 @@ const GameCanvas = () => {
 // --- UI Overlay Component (previously in components/UIOverlay.js) ---
 const UIOverlay = () => {
     const {
-        player, tractor, combineHarvester, selectedCropType, setSelectedCropType,
-        isShopOpen, setIsShopOpen, isSettingsOpen, setIsSettingsOpen, handleRefuel,
-        statusMessage, statusVisible, moneyChangeAmount, moneyChangeVisible, moneyChangePosition
+        player, tractor, combineHarvester, world, parcels, gameTime, day, weather, weatherForecast, contracts, bank, selectedCropType, handleSelectCrop,
+        isShopOpen, setIsShopOpen, isSettingsOpen, setIsSettingsOpen, setIsFinanceOpen, handleRefuel,
+        statusMessage, statusVisible, moneyChangeAmount, moneyChangeVisible, moneyChangePosition, replayMode
     } = useGame();
 
+    // Soil of the tile the player is standing on (the row just below their feet)
+    const soilTileX = Math.floor((player.x + player.width / 2) / TILE_SIZE);
+    const soilTileY = Math.floor((player.y + player.height) / TILE_SIZE);
+    const soilUnderPlayer = world[soilTileY]?.[soilTileX]?.soil;
+    const parcelUnderPlayer = getParcelAt(parcels, soilTileX);
+    const cropUnderPlayer = world[soilTileY]?.[soilTileX]?.crop;
+    const describeCropUnderPlayer = () => {
+        const tile = world[soilTileY][soilTileX];
+        const crop = CROP_DEFINITIONS[cropUnderPlayer.type];
+        if (cropUnderPlayer.withered) return `${crop.label} (withered)`;
+        const stage = `${crop.label}, ${crop.stages[cropUnderPlayer.stage].name} (${cropUnderPlayer.stage + 1}/${crop.stages.length})`;
+        const threats = describeThreats(tile);
+        return `${stage}, yield ~${getExpectedYield(tile).toFixed(1)} ${getCropQuality(tile)}${threats.length > 0 ? ` [${threats.join(', ')}]` : ''}`;
+    };
+
+    const { season } = getCalendarDate(day);
+    const clock = formatClockTime(gameTime);
+    const cropButtonClass = (cropType) => [
+        'px-3 py-1 rounded-md text-sm',
+        selectedCropType === cropType ? 'bg-indigo-700' : 'bg-indigo-500 hover:bg-indigo-600',
+        isCropInSeason(cropType, season) ? '' : 'opacity-50',
+    ].join(' ');
+    const cropButtonTitle = (cropType) => `Plant in: ${CROP_DEFINITIONS[cropType].seasons.join(', ')}`;
+
     return (
         <>
+            {replayMode !== REPLAY_MODE.OFF && (
+                <div className="absolute bottom-5 left-1/2 -translate-x-1/2 px-3 py-1 bg-black bg-opacity-60 rounded-lg text-sm font-bold text-red-400">
+                    {replayMode === REPLAY_MODE.RECORDING ? '● REC' : '▶ REPLAY'}
+                </div>
+            )}
+
             <div className={`absolute top-5 left-1/2 -translate-x-1/2 p-3 bg-black bg-opacity-60 rounded-lg text-lg text-yellow-400 transition-opacity duration-300 ${statusVisible ? 'opacity-100' : 'opacity-0'}`}>
                 {statusMessage}
             </div>
@@ -2266,23 +5155,57 @@ const UIOverlay = () => {
             </style>
 
             <div className="absolute top-5 left-5 p-3 bg-black bg-opacity-60 rounded-lg text-base">
+                <span id="calendar-date" className="font-bold">{formatCalendarDate(day)}</span> · {clock}<br />
+                Weather: <span id="weather">{WEATHER_LABELS[weather.type]} ({weather.hours.toFixed(1)}h left)</span><br />
+                <span className="text-sm text-gray-300">
+                    Forecast: {weatherForecast.length > 0 ? weatherForecast.map(spell => WEATHER_LABELS[spell.type]).join(' → ') : '...'}
+                </span><br />
                 Money: <span id="money-count">${player.money.toFixed(2)}</span><br />
+                Debt: <span id="debt-info">
+                    {bank.loans.length > 0
+                        ? `$${getTotalDebt(bank).toFixed(2)}, next payment day ${Math.min(...bank.loans.map(loan => loan.nextPaymentDay))}`
+                        : 'None'}
+                </span><br/>
                 Fuel: <span id="fuel-level">
                     {tractor.isInVehicle ? `${tractor.fuel.toFixed(1)} / ${tractor.maxFuel}` :
                      combineHarvester.isInVehicle ? `${combineHarvester.fuel.toFixed(1)} / ${combineHarvester.maxFuel}` : 'N/A'}
                 </span><br/>
                 Storage: <span id="storage-count">
-                    {Object.values(player.inventory).filter(val => typeof val === 'number' && !String(val).includes('Seeds')).reduce((acc, curr) => acc + curr, 0)} / {player.maxStorage}
-                </span>
+                    {getStoredProduceCount(player.inventory)} / {player.maxStorage}
+                </span><br/>
+                Water: <span id="water-level">{player.water} / {player.maxWater}</span><br/>
+                Contracts: <span id="contracts-info">
+                    {contracts.active.length > 0
+                        ? `${contracts.active.length} active, next due day ${Math.min(...contracts.active.map(contract => contract.deadlineDay))}`
+                        : 'None'}
+                </span><br/>
+                Land: <span id="land-info">
+                    {parcelUnderPlayer
+                        ? `Parcel #${parcelUnderPlayer.id}, ${parcelUnderPlayer.owned ? 'owned' : `for sale ($${parcelUnderPlayer.price})`}`
+                        : 'N/A'}
+                </span><br/>
+                Soil: <span id="soil-info">
+                    {soilUnderPlayer && !player.isInVehicle
+                        ? `Fertility ${Math.round(soilUnderPlayer.fertility * 100)}%, Moisture ${Math.round(soilUnderPlayer.moisture * 100)}%, pH ${soilUnderPlayer.ph.toFixed(1)}${world[soilTileY][soilTileX].weeds ? ', weedy' : ''}`
+                        : 'N/A'}
+                </span><br/>
+                Crop: <span id="crop-info">{cropUnderPlayer && !player.isInVehicle ? describeCropUnderPlayer() : 'N/A'}</span>
                 <div className="mt-2 pt-2 border-t border-gray-600">
                     <h4 className="font-bold mb-1">Inventory:</h4>
                     <div className="grid grid-cols-2 gap-1 text-sm">
-                        <div className="flex items-center gap-1"><CropSeedIcon cropType={CROP_TYPE.WHEAT} /> Wheat Seeds: {player.inventory.wheatSeeds}</div>
-                        <div className="flex items-center gap-1"><CropSeedIcon cropType={CROP_TYPE.CORN} /> Corn Seeds: {player.inventory.cornSeeds}</div>
-                        <div className="flex items-center gap-1"><CropSeedIcon cropType={CROP_TYPE.POTATO} /> Potato Seeds: {player.inventory.potatoSeeds}</div>
-                        <div className="flex items-center gap-1"><CropIcon cropType={CROP_TYPE.WHEAT} /> Wheat: {player.inventory.wheat}</div>
-                        <div className="flex items-center gap-1"><CropIcon cropType={CROP_TYPE.CORN} /> Corn: {player.inventory.corn}</div>
-                        <div className="flex items-center gap-1"><CropIcon cropType={CROP_TYPE.POTATO} /> Potato: {player.inventory.potato}</div>
+                        {Object.entries(CROP_DEFINITIONS).map(([cropType, crop]) => (
+                            <div key={`${cropType}-seeds`} className="flex items-center gap-1"><CropSeedIcon cropType={cropType} /> {crop.label} Seeds: {player.inventory[getSeedInventoryKey(cropType)] || 0}</div>
+                        ))}
+                        {Object.entries(CROP_DEFINITIONS).map(([cropType, crop]) => (
+                            <div key={cropType} className="flex items-center gap-1" title="Bronze / Silver / Gold">
+                                <CropIcon cropType={cropType} /> {crop.label}:
+                                {QUALITY_GRADES.map(grade => (
+                                    <span key={grade} style={{ color: QUALITY_COLORS[grade] }}>{player.inventory[cropType]?.[grade] || 0}</span>
+                                ))}
+                            </div>
+                        ))}
+                        <div className="flex items-center gap-1">Fertilizer: {player.inventory.fertilizer}</div>
+                        <div className="flex items-center gap-1">Pesticide: {player.inventory.pesticide}</div>
                     </div>
                 </div>
             </div>
@@ -2291,20 +5214,19 @@ const UIOverlay = () => {
                 <button onClick={() => setIsShopOpen(true)} className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-md shadow-md transition-colors">
                     Shop
                 </button>
+                <button onClick={() => setIsFinanceOpen(true)} className="px-4 py-2 bg-yellow-600 hover:bg-yellow-700 text-white rounded-md shadow-md transition-colors">
+                    Finances
+                </button>
                 <button onClick={handleRefuel} className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-md shadow-md transition-colors">
                     Refuel Vehicle
                 </button>
                 <div className="flex gap-2 mt-2">
                     <span className="text-sm self-center">Plant:</span>
-                    <button onClick={() => setSelectedCropType(CROP_TYPE.WHEAT)} className={`px-3 py-1 rounded-md text-sm ${selectedCropType === CROP_TYPE.WHEAT ? 'bg-indigo-700' : 'bg-indigo-500 hover:bg-indigo-600'}`}>
-                        Wheat
-                    </button>
-                    <button onClick={() => setSelectedCropType(CROP_TYPE.CORN)} className={`px-3 py-1 rounded-md text-sm ${selectedCropType === CROP_TYPE.CORN ? 'bg-indigo-700' : 'bg-indigo-500 hover:bg-indigo-600'}`}>
-                        Corn
-                    </button>
-                    <button onClick={() => setSelectedCropType(CROP_TYPE.POTATO)} className={`px-3 py-1 rounded-md text-sm ${selectedCropType === CROP_TYPE.POTATO ? 'bg-indigo-700' : 'bg-indigo-500 hover:bg-indigo-600'}`}>
-                        Potato
-                    </button>
+                    {Object.entries(CROP_DEFINITIONS).map(([cropType, crop]) => (
+                        <button key={cropType} onClick={() => handleSelectCrop(cropType)} className={cropButtonClass(cropType)} title={cropButtonTitle(cropType)}>
+                            {crop.label}
+                        </button>
+                    ))}
                 </div>
             </div>
 
@@ -2328,8 +5250,11 @@ const UIOverlay = () => {
                 <span className="block"><strong>E</strong>: Enter/Exit Closest Vehicle</span>
                 <span className="block"><strong>H</strong>: Hitch/Unhitch Closest Attachment (for Tractor)</span>
                 <span className="block"><strong>F</strong>: Use Hand Tool (Till Soil)</span>
-                <span className="block"><strong>G</strong>: Plant <span className="text-yellow-400">{selectedCropType.charAt(0).toUpperCase() + selectedCropType.slice(1)}</span> (Manual)</span>
-                <span className="block"><strong>J</strong>: Harvest Wheat (Manual)</span>
+                <span className="block"><strong>G</strong>: Plant <span className="text-yellow-400">{CROP_DEFINITIONS[selectedCropType].label}</span> (Manual)</span>
+                <span className="block"><strong>J</strong>: Harvest Crop (Manual)</span>
+                <span className="block"><strong>Q</strong>: Water Soil (Watering Can)</span>
+                <span className="block"><strong>R</strong>: Refill Water Tank (near a Well or Pond)</span>
+                <span className="block"><strong>X</strong>: Hoe (Weeds, Diseased Plants)</span>
             </div>
         </>
     );
@@ -2337,12 +5262,41 @@ const UIOverlay = () => {
 
 
 // --- Shop Modal Component (previously in components/ShopModal.js) ---
+// Line chart of a crop's daily opening prices, ending with the current price
+const PriceHistoryChart = ({ history, currentPrice, width = 240, height = 48 }) => {
+    const prices = [...history, currentPrice];
+    const low = Math.min(...prices) * 0.95;
+    const high = Math.max(...prices) * 1.05;
+    const toPoint = (price, i) => {
+        const x = prices.length > 1 ? (i / (prices.length - 1)) * width : width / 2;
+        const y = height - ((price - low) / (high - low || 1)) * height;
+        return `${x.toFixed(1)},${y.toFixed(1)}`;
+    };
+    const rising = currentPrice >= prices[0];
+
+    return (
+        <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`} className="bg-gray-900 rounded">
+            <polyline points={prices.map(toPoint).join(' ')} fill="none" stroke={rising ? '#4ADE80' : '#F87171'} strokeWidth="2"/>
+            <circle cx={width} cy={toPoint(currentPrice, prices.length - 1).split(',')[1]} r="3" fill="#FACC15"/>
+        </svg>
+    );
+};
+
 const ShopModal = () => {
     const {
-        player, tractor, combineHarvester,
-        setIsShopOpen, handleBuySeeds, handleSellCrops, handleBuildSilo, handleUpgradeVehicle
+        player, tractor, combineHarvester, market, contracts, day, world, parcels,
+        setIsShopOpen, handleBuySeeds, handleBuySupplies, handleSellCrops, handleBuildSilo, handleBuildSprinkler, handleUpgradeVehicle,
+        handleAcceptContract, handleDeliverContract, handleBuyParcel, sprinklers
     } = useGame();
 
+    const describePriceChange = (cropType) => {
+        const change = getPriceChange(market, cropType);
+        if (Math.abs(change) < 0.01) return { text: '– steady', className: 'text-gray-300' };
+        return change > 0
+            ? { text: `▲ ${Math.round(change * 100)}%`, className: 'text-green-400' }
+            : { text: `▼ ${Math.round(-change * 100)}%`, className: 'text-red-400' };
+    };
+
     return (
         <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50">
             <div className="bg-gray-700 p-8 rounded-lg shadow-xl border-2 border-white w-full max-w-2xl max-h-[90vh] overflow-y-auto">
@@ -2353,16 +5307,36 @@ const ShopModal = () => {
                 <div className="mb-8">
                     <h3 className="text-2xl font-semibold mb-4 text-blue-300">Buy Seeds</h3>
                     <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                        {Object.entries(SEED_PRICES).map(([seedType, price]) => (
-                            <div key={seedType} className="bg-gray-800 p-4 rounded-md flex items-center justify-between"
-                                title={`Buy 10 units of ${seedType.replace('Seeds', '')} seeds.`}>
+                        {Object.entries(CROP_DEFINITIONS).map(([cropType, crop]) => (
+                            <div key={cropType} className="bg-gray-800 p-4 rounded-md flex items-center justify-between"
+                                title={`Buy 10 units of ${crop.label.toLowerCase()} seeds. Plant in: ${crop.seasons.join(', ')}.`}>
                                 <div className="flex items-center gap-2">
-                                    <CropSeedIcon cropType={seedType.replace('Seeds', '')} size={24}/>
-                                    <span className="text-lg capitalize">{seedType.replace('Seeds', '')} Seeds</span>
+                                    <CropSeedIcon cropType={cropType} size={24}/>
+                                    <span className="text-lg">{crop.label} Seeds</span>
                                 </div>
+                                <span className="text-lg text-green-300">${crop.seedPrice.toFixed(2)} / unit</span>
+                                <button
+                                    onClick={() => handleBuySeeds(cropType, 10)}
+                                    className="ml-4 px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-md transition-colors"
+                                >
+                                    Buy 10 (${(crop.seedPrice * 10).toFixed(2)})
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+
+                {/* Buy Supplies Section */}
+                <div className="mb-8">
+                    <h3 className="text-2xl font-semibold mb-4 text-blue-300">Buy Supplies</h3>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        {Object.entries(SUPPLY_PRICES).map(([supplyType, price]) => (
+                            <div key={supplyType} className="bg-gray-800 p-4 rounded-md flex items-center justify-between"
+                                title={`Buy 10 units of ${supplyType}. Hitch the ${SUPPLY_ATTACHMENTS[supplyType]} to the tractor to apply it to your fields.`}>
+                                <span className="text-lg capitalize">{supplyType}</span>
                                 <span className="text-lg text-green-300">${price.toFixed(2)} / unit</span>
                                 <button
-                                    onClick={() => handleBuySeeds(seedType, 10)}
+                                    onClick={() => handleBuySupplies(supplyType, 10)}
                                     className="ml-4 px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-md transition-colors"
                                 >
                                     Buy 10 (${(price * 10).toFixed(2)})
@@ -2376,21 +5350,46 @@ const ShopModal = () => {
                 <div className="mb-8">
                     <h3 className="2xl font-semibold mb-4 text-orange-300">Sell Crops</h3>
                     <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
-                        {Object.entries(CROP_PRICES).map(([cropType, price]) => (
-                            <div key={cropType} className="bg-gray-800 p-4 rounded-md flex items-center justify-between"
-                                title={`Sell all ${cropType} you have. Current stock: ${player.inventory[cropType]}.`}>
-                                <div className="flex items-center gap-2">
-                                    <CropIcon cropType={cropType} size={24}/>
-                                    <span className="text-lg capitalize">{cropType}</span>
+                        {Object.entries(CROP_DEFINITIONS).map(([cropType, crop]) => (
+                            <div key={cropType} className="bg-gray-800 p-4 rounded-md"
+                                title={`Sell the ${crop.label.toLowerCase()} you have. Current stock: ${getProduceCount(player.inventory, cropType)}.`}>
+                                <div className="flex items-center justify-between">
+                                    <div className="flex items-center gap-2">
+                                        <CropIcon cropType={cropType} size={24}/>
+                                        <span className="text-lg">{crop.label}</span>
+                                    </div>
+                                    <span className="text-lg">In Stock: {getProduceCount(player.inventory, cropType)}</span>
+                                    <button
+                                        onClick={() => handleSellCrops(cropType)}
+                                        className="ml-4 px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded-md transition-colors"
+                                    >
+                                        Sell All (${quoteSale(market, cropType, player.inventory[cropType] || {}).value.toFixed(2)})
+                                    </button>
+                                </div>
+                                <div className="mt-2 flex items-center justify-between text-sm">
+                                    <span>
+                                        Market: ${getMarketPrice(market, cropType).toFixed(2)}{' '}
+                                        <span className={describePriceChange(cropType).className}>{describePriceChange(cropType).text}</span>
+                                        {market.crops[cropType].saturation >= 0.05 && (
+                                            <span className="text-orange-300"> (flooded, -{Math.round(market.crops[cropType].saturation * 100)}%)</span>
+                                        )}
+                                    </span>
+                                    <PriceHistoryChart history={market.crops[cropType].history} currentPrice={getMarketPrice(market, cropType)} width={160} height={36}/>
+                                </div>
+                                <div className="mt-2 grid grid-cols-3 gap-2 text-sm">
+                                    {QUALITY_GRADES.map(grade => (
+                                        <button
+                                            key={grade}
+                                            onClick={() => handleSellCrops(cropType, grade)}
+                                            disabled={!(player.inventory[cropType]?.[grade] > 0)}
+                                            className="px-2 py-1 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 rounded-md transition-colors capitalize"
+                                            style={{ color: QUALITY_COLORS[grade] }}
+                                            title={`Sell ${grade} ${crop.label.toLowerCase()} at $${getGradePrice(market, cropType, grade).toFixed(2)} each, less as the market fills up.`}
+                                        >
+                                            {grade}: {player.inventory[cropType]?.[grade] || 0} × ${getGradePrice(market, cropType, grade).toFixed(2)}
+                                        </button>
+                                    ))}
                                 </div>
-                                <span className="text-lg">In Stock: {player.inventory[cropType]}</span>
-                                <span className="text-lg text-green-300">Sell Price: ${price.toFixed(2)}</span>
-                                <button
-                                    onClick={() => handleSellCrops(cropType)}
-                                    className="ml-4 px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded-md transition-colors"
-                                >
-                                    Sell All (${(player.inventory[cropType] * price).toFixed(2)})
-                                </button>
                             </div>
                         ))}
                     </div>
@@ -2402,6 +5401,101 @@ const ShopModal = () => {
                     </button>
                 </div>
 
+                {/* Contracts Section */}
+                <div className="mb-8">
+                    <h3 className="text-2xl font-semibold mb-4 text-teal-300">Contracts</h3>
+                    <p className="text-sm mb-4 text-gray-300">
+                        Reputation: {Object.entries(CONTRACT_BUYERS).map(([buyerId, buyer]) => (
+                            `${buyer.name} ${Math.round(contracts.reputation[buyerId])}${contracts.owed[buyerId] > 0 ? ` (owed $${contracts.owed[buyerId].toFixed(2)})` : ''}`
+                        )).join(' · ')}
+                    </p>
+                    <h4 className="text-lg font-semibold mb-2">Accepted ({contracts.active.length}/{MAX_ACTIVE_CONTRACTS})</h4>
+                    <div className="grid grid-cols-1 gap-2 mb-4">
+                        {contracts.active.length === 0 && <p className="text-sm text-gray-400">No contracts accepted yet.</p>}
+                        {contracts.active.map(contract => {
+                            const deliverable = Object.values(getDeliverableCounts(player.inventory, contract)).reduce((total, count) => total + count, 0);
+                            const daysLeft = contract.deadlineDay - day;
+                            return (
+                                <div key={contract.id} className="bg-gray-800 p-3 rounded-md flex items-center justify-between"
+                                    title={`${CONTRACT_BUYERS[contract.buyerId].minGrade} quality or better. Missing the deadline costs $${contract.penalty}.`}>
+                                    <div className="flex items-center gap-2">
+                                        <CropIcon cropType={contract.cropType} size={24}/>
+                                        <div>
+                                            <div>{CONTRACT_BUYERS[contract.buyerId].name}: {describeContract(contract)}</div>
+                                            <div className="text-sm text-gray-300">
+                                                Delivered {contract.delivered}/{contract.quantity} ·{' '}
+                                                <span className={daysLeft <= 1 ? 'text-red-400' : ''}>{daysLeft === 0 ? 'due today' : `${daysLeft} days left`}</span>
+                                            </div>
+                                        </div>
+                                    </div>
+                                    <button
+                                        onClick={() => handleDeliverContract(contract.id)}
+                                        disabled={deliverable === 0}
+                                        className="ml-4 px-4 py-2 bg-teal-600 hover:bg-teal-700 disabled:opacity-50 text-white rounded-md transition-colors"
+                                    >
+                                        Deliver {deliverable}
+                                    </button>
+                                </div>
+                            );
+                        })}
+                    </div>
+                    <h4 className="text-lg font-semibold mb-2">Today&apos;s Offers</h4>
+                    <div className="grid grid-cols-1 gap-2">
+                        {contracts.offers.length === 0 && <p className="text-sm text-gray-400">No buyers are offering work today.</p>}
+                        {contracts.offers.map(contract => (
+                            <div key={contract.id} className="bg-gray-800 p-3 rounded-md flex items-center justify-between"
+                                title={`${CONTRACT_BUYERS[contract.buyerId].minGrade} quality or better. Missing the deadline costs $${contract.penalty}. Offers are replaced every morning.`}>
+                                <div className="flex items-center gap-2">
+                                    <CropIcon cropType={contract.cropType} size={24}/>
+                                    <div>
+                                        <div>{CONTRACT_BUYERS[contract.buyerId].name}: {describeContract(contract)}</div>
+                                        <div className="text-sm text-gray-300 capitalize">{CONTRACT_BUYERS[contract.buyerId].minGrade}+ quality · ${contract.penalty} penalty</div>
+                                    </div>
+                                </div>
+                                <button
+                                    onClick={() => handleAcceptContract(contract.id)}
+                                    disabled={contracts.active.length >= MAX_ACTIVE_CONTRACTS}
+                                    className="ml-4 px-4 py-2 bg-green-600 hover:bg-green-700 disabled:opacity-50 text-white rounded-md transition-colors"
+                                >
+                                    Accept
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+
+                {/* Buy Land Section */}
+                <div className="mb-8">
+                    <h3 className="text-2xl font-semibold mb-4 text-lime-300">Buy Land</h3>
+                    <p className="text-sm mb-4 text-gray-300">
+                        You own {parcels.filter(parcel => parcel.owned).length} of {parcels.length} parcels. Fields can only be worked on your own land.
+                    </p>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        {parcels.filter(parcel => !parcel.owned).length === 0 && <p className="text-sm text-gray-400">You own all the land!</p>}
+                        {parcels.filter(parcel => !parcel.owned).map(parcel => {
+                            const land = getParcelLand(world, parcel);
+                            return (
+                                <div key={parcel.id} className="bg-gray-800 p-4 rounded-md flex items-center justify-between"
+                                    title={`Covers tiles ${parcel.startX} to ${parcel.endX - 1}.`}>
+                                    <div>
+                                        <div className="text-lg">Parcel #{parcel.id}</div>
+                                        <div className="text-sm text-gray-300">
+                                            {land.farmable}/{parcel.endX - parcel.startX} farmable · fertility {Math.round(land.fertility * 100)}%
+                                        </div>
+                                    </div>
+                                    <button
+                                        onClick={() => handleBuyParcel(parcel.id)}
+                                        disabled={player.money < parcel.price}
+                                        className="ml-4 px-4 py-2 bg-lime-600 hover:bg-lime-700 disabled:opacity-50 text-white rounded-md transition-colors"
+                                    >
+                                        Buy (${parcel.price.toFixed(2)})
+                                    </button>
+                                </div>
+                            );
+                        })}
+                    </div>
+                </div>
+
                 {/* Build Structures Section */}
                 <div className="mb-8">
                     <h3 className="text-2xl font-semibold mb-4 text-purple-300">Build Structures</h3>
@@ -2418,6 +5512,17 @@ const ShopModal = () => {
                                 {player.siloBuilt ? 'Built' : 'Build'}
                             </button>
                         </div>
+                        <div className="bg-gray-800 p-4 rounded-md flex items-center justify-between"
+                            title="Place a sprinkler where you are standing. It keeps the soil around it watered.">
+                            <span className="text-lg">Sprinkler ({sprinklers.length} built)</span>
+                            <span className="text-lg text-green-300">Cost: ${STRUCTURE_PRICES.sprinkler.toFixed(2)}</span>
+                            <button
+                                onClick={handleBuildSprinkler}
+                                className="ml-4 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-md transition-colors"
+                            >
+                                Build Here
+                            </button>
+                        </div>
                     </div>
                 </div>
 
@@ -2480,27 +5585,470 @@ const ShopModal = () => {
 };
 
 
+// --- Finance Modal Component ---
+const FINANCE_CHART_PERIODS = 7;
+const RECENT_TRANSACTION_COUNT = 10;
+
+// Side-by-side income (green) and expense (red) bars for each report period
+const IncomeExpenseChart = ({ summaries, width = 480, height = 96 }) => {
+    const highest = Math.max(1, ...summaries.flatMap(summary => [summary.income, summary.expenses]));
+    const slotWidth = width / Math.max(1, summaries.length);
+    const barWidth = slotWidth * 0.35;
+    const barHeight = (amount) => (amount / highest) * (height - 4);
+
+    return (
+        <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`} className="bg-gray-900 rounded">
+            {summaries.map((summary, i) => (
+                <g key={summary.key}>
+                    <title>{`${summary.label}: +$${summary.income.toFixed(2)} / -$${summary.expenses.toFixed(2)}`}</title>
+                    <rect x={i * slotWidth + slotWidth * 0.12} y={height - barHeight(summary.income)} width={barWidth} height={barHeight(summary.income)} fill="#4ADE80"/>
+                    <rect x={i * slotWidth + slotWidth * 0.53} y={height - barHeight(summary.expenses)} width={barWidth} height={barHeight(summary.expenses)} fill="#F87171"/>
+                </g>
+            ))}
+        </svg>
+    );
+};
+
+const FinanceModal = () => {
+    const { sim, player, ledger, bank, day, setIsFinanceOpen, exportLedger, handleTakeLoan, handleRepayLoan } = useGame();
+    const [period, setPeriod] = useState(LEDGER_PERIOD.DAY);
+
+    const assetValues = getAssetValues(sim);
+    const availableCredit = getAvailableCredit(sim);
+    const summaries = summarizeLedger(ledger, period);
+    const categoryTotals = getCategoryTotals(ledger);
+    const cropProfits = getCropProfits(ledger);
+    const formatAmount = (amount) => `${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(2)}`;
+    const amountClass = (amount) => (amount < 0 ? 'text-red-400' : 'text-green-400');
+    const periodButtonClass = (buttonPeriod) => `px-3 py-1 rounded-md transition-colors ${period === buttonPeriod ? 'bg-yellow-600 text-white' : 'bg-gray-800 hover:bg-gray-600'}`;
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50">
+            <div className="bg-gray-700 p-8 rounded-lg shadow-xl border-2 border-white w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+                <h2 className="text-3xl font-bold mb-6 text-center text-yellow-300">Finances</h2>
+                <p className="text-xl mb-6 text-center">Your Money: <span className="text-green-400">${player.money.toFixed(2)}</span></p>
+
+                {/* Bank Section */}
+                <div className="mb-8">
+                    <h3 className="text-2xl font-semibold mb-4 text-teal-300">Bank</h3>
+                    <p className="text-sm mb-4 text-gray-300"
+                        title={`The bank lends up to ${Math.round(CREDIT_LIMIT_SHARE * 100)}% of the value of your vehicles, buildings and land.`}>
+                        Assets: ${(assetValues.vehicles + assetValues.buildings + assetValues.land).toFixed(2)} (vehicles ${assetValues.vehicles.toFixed(2)}, buildings ${assetValues.buildings.toFixed(2)}, land ${assetValues.land.toFixed(2)})
+                        {' '}· Credit limit: ${getCreditLimit(sim).toFixed(2)} · Debt: <span className="text-red-400">${getTotalDebt(bank).toFixed(2)}</span>
+                    </p>
+                    {day < bank.creditFrozenUntilDay && (
+                        <p className="text-sm mb-4 text-red-400">After your bailout the bank won&apos;t lend again until day {bank.creditFrozenUntilDay}.</p>
+                    )}
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-2 mb-4">
+                        {LOAN_AMOUNTS.map(amount => (
+                            <button
+                                key={amount}
+                                onClick={() => handleTakeLoan(amount)}
+                                disabled={amount > availableCredit}
+                                className="px-4 py-2 bg-teal-600 hover:bg-teal-700 disabled:opacity-50 text-white rounded-md transition-colors"
+                                title={`${LOAN_TERM_DAYS} daily payments of $${getLoanInstallment(amount).toFixed(2)} (${Math.round(LOAN_DAILY_INTEREST * 100)}% interest a day).`}
+                            >
+                                Borrow ${amount}
+                            </button>
+                        ))}
+                    </div>
+                    <div className="grid grid-cols-1 gap-2">
+                        {bank.loans.length === 0 && <p className="text-sm text-gray-400">No loans.</p>}
+                        {bank.loans.map(loan => (
+                            <div key={loan.id} className="bg-gray-800 p-3 rounded-md flex items-center justify-between"
+                                title={`Missing ${MAX_MISSED_LOAN_PAYMENTS} payments in a row bankrupts the farm.`}>
+                                <div>
+                                    <div>Loan #{loan.id}: ${loan.balance.toFixed(2)} of ${loan.principal.toFixed(2)} left</div>
+                                    <div className="text-sm text-gray-300">
+                                        ${loan.installment.toFixed(2)} due day {loan.nextPaymentDay}
+                                        {loan.missedPayments > 0 && <span className="text-red-400"> · {loan.missedPayments}/{MAX_MISSED_LOAN_PAYMENTS} payments missed</span>}
+                                    </div>
+                                </div>
+                                <button
+                                    onClick={() => handleRepayLoan(loan.id)}
+                                    disabled={player.money < loan.balance}
+                                    className="ml-4 px-4 py-2 bg-green-600 hover:bg-green-700 disabled:opacity-50 text-white rounded-md transition-colors"
+                                >
+                                    Repay
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+
+                {/* Income vs. Expenses Section */}
+                <div className="mb-8">
+                    <div className="flex items-center justify-between mb-4">
+                        <h3 className="text-2xl font-semibold text-blue-300">Income vs. Expenses</h3>
+                        <div className="flex gap-2 text-sm">
+                            <button onClick={() => setPeriod(LEDGER_PERIOD.DAY)} className={periodButtonClass(LEDGER_PERIOD.DAY)}>Daily</button>
+                            <button onClick={() => setPeriod(LEDGER_PERIOD.SEASON)} className={periodButtonClass(LEDGER_PERIOD.SEASON)}>Seasonal</button>
+                        </div>
+                    </div>
+                    {summaries.length === 0 ? (
+                        <p className="text-gray-300">No transactions yet.</p>
+                    ) : (
+                        <>
+                            <IncomeExpenseChart summaries={summaries.slice(-FINANCE_CHART_PERIODS)}/>
+                            <table className="w-full mt-4 text-sm">
+                                <thead>
+                                    <tr className="text-left text-gray-300">
+                                        <th className="py-1">{period === LEDGER_PERIOD.DAY ? 'Day' : 'Season'}</th>
+                                        <th className="py-1 text-right">Income</th>
+                                        <th className="py-1 text-right">Expenses</th>
+                                        <th className="py-1 text-right">Net</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {[...summaries].reverse().map(summary => (
+                                        <tr key={summary.key} className="border-t border-gray-600">
+                                            <td className="py-1">{summary.label}</td>
+                                            <td className="py-1 text-right text-green-400">${summary.income.toFixed(2)}</td>
+                                            <td className="py-1 text-right text-red-400">${summary.expenses.toFixed(2)}</td>
+                                            <td className={`py-1 text-right ${amountClass(summary.income - summary.expenses)}`}>{formatAmount(summary.income - summary.expenses)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </>
+                    )}
+                </div>
+
+                {/* Profit per Crop Section */}
+                <div className="mb-8">
+                    <h3 className="text-2xl font-semibold mb-4 text-orange-300">Profit per Crop</h3>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        {Object.entries(CROP_DEFINITIONS).map(([cropType, crop]) => (
+                            <div key={cropType} className="bg-gray-800 p-4 rounded-md"
+                                title={`Sales and contracts for ${crop.label.toLowerCase()}, less its seeds and missed contract penalties.`}>
+                                <div className="flex items-center justify-between">
+                                    <div className="flex items-center gap-2">
+                                        <CropIcon cropType={cropType} size={24}/>
+                                        <span className="text-lg">{crop.label}</span>
+                                    </div>
+                                    <span className={`text-lg ${amountClass(cropProfits[cropType].profit)}`}>{formatAmount(cropProfits[cropType].profit)}</span>
+                                </div>
+                                <div className="mt-2 flex justify-between text-sm text-gray-300">
+                                    <span>Income: ${cropProfits[cropType].income.toFixed(2)}</span>
+                                    <span>Costs: ${cropProfits[cropType].expenses.toFixed(2)}</span>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+
+                {/* Categories Section */}
+                <div className="mb-8">
+                    <h3 className="text-2xl font-semibold mb-4 text-purple-300">By Category</h3>
+                    <div className="grid grid-cols-2 gap-2 text-sm">
+                        {Object.entries(LEDGER_CATEGORY_LABELS).map(([category, label]) => (
+                            <div key={category} className="bg-gray-800 px-3 py-2 rounded-md flex justify-between">
+                                <span>{label}</span>
+                                <span className={amountClass(categoryTotals[category])}>{formatAmount(categoryTotals[category])}</span>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+
+                {/* Recent Transactions Section */}
+                <div className="mb-8">
+                    <h3 className="text-2xl font-semibold mb-4 text-blue-300">Recent Transactions</h3>
+                    {ledger.length === 0 ? (
+                        <p className="text-gray-300">No transactions yet.</p>
+                    ) : (
+                        <div className="flex flex-col gap-1 text-sm">
+                            {ledger.slice(-RECENT_TRANSACTION_COUNT).reverse().map((entry, i) => (
+                                <div key={ledger.length - i} className="bg-gray-800 px-3 py-1 rounded-md flex justify-between gap-2">
+                                    <span className="text-gray-300">Day {entry.day} {formatClockTime(entry.time)}</span>
+                                    <span className="flex-1">{LEDGER_CATEGORY_LABELS[entry.category]}: {entry.item}</span>
+                                    <span className={amountClass(entry.amount)}>{formatAmount(entry.amount)}</span>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                    <p className="mt-2 text-xs text-gray-400">Only the latest {MAX_LEDGER_ENTRIES} transactions are kept.</p>
+                </div>
+
+                <button
+                    onClick={exportLedger}
+                    disabled={ledger.length === 0}
+                    className="w-full px-6 py-3 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white text-lg font-bold rounded-md shadow-lg transition-colors"
+                >
+                    Export CSV
+                </button>
+                <button
+                    onClick={() => setIsFinanceOpen(false)}
+                    className="mt-4 w-full px-6 py-3 bg-gray-500 hover:bg-gray-600 text-white text-xl font-bold rounded-md shadow-lg transition-colors"
+                >
+                    Close
+                </button>
+            </div>
+        </div>
+    );
+};
+
+
+// --- Bankruptcy Modal Component ---
+// Shown while the farm is bankrupt. The simulation stands still until the player takes the bank's bailout, or,
+// once bailouts are used up, starts over or loads a save.
+const BankruptcyModal = () => {
+    const { bank, player, handleAcceptBailout, startNewWorld, setIsSettingsOpen } = useGame();
+    const gameOver = isGameOver(bank);
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50">
+            <div className="bg-gray-700 p-8 rounded-lg shadow-xl border-2 border-red-400 w-full max-w-lg text-center">
+                <h2 className="text-3xl font-bold mb-4 text-red-400">{gameOver ? 'Game Over' : 'Bankrupt!'}</h2>
+                <p className="mb-2">
+                    You missed {MAX_MISSED_LOAN_PAYMENTS} loan payments in a row and owe the bank <span className="text-red-400">${getTotalDebt(bank).toFixed(2)}</span>.
+                </p>
+                <p className="mb-6 text-gray-300">
+                    {gameOver
+                        ? "The bank has already bailed this farm out once and won't do it again."
+                        : `The bank will write off your debt and top your cash up to $${Math.max(BAILOUT_MONEY, player.money).toFixed(2)}, but it seizes your vehicle upgrades and won't lend again for ${BAILOUT_CREDIT_FREEZE_DAYS} days. This only happens once.`}
+                </p>
+                <div className="flex flex-col gap-2">
+                    {!gameOver && (
+                        <button onClick={handleAcceptBailout} className="px-6 py-3 bg-teal-600 hover:bg-teal-700 text-white text-lg font-bold rounded-md transition-colors">
+                            Accept Bailout
+                        </button>
+                    )}
+                    <button onClick={() => startNewWorld()} className="px-6 py-3 bg-green-600 hover:bg-green-700 text-white text-lg font-bold rounded-md transition-colors">
+                        Start a New Farm
+                    </button>
+                    <button onClick={() => setIsSettingsOpen(true)} className="px-6 py-3 bg-gray-500 hover:bg-gray-600 text-white text-lg font-bold rounded-md transition-colors">
+                        Load a Save
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+
 // --- Settings Modal Component (previously in components/SettingsModal.js) ---
 const SettingsModal = () => {
-    const { setIsSettingsOpen, saveGame, loadGame, isAuthReady } = useGame();
+    const {
+        setIsSettingsOpen, saveGame, loadGame, listSaveSlots, deleteSaveSlot, renameSaveSlot, storageAdapter, day,
+        lastSaveInfo, gameSettings, updateGameSettings, exportGame, importGame, seed, startNewWorld,
+        replayMode, startRecording, stopRecording, playReplay, stopReplay
+    } = useGame();
+    const importInputRef = useRef(null);
+    const replayInputRef = useRef(null);
+    const [newWorldSeed, setNewWorldSeed] = useState('');
+
+    const [saveSlots, setSaveSlots] = useState([]);
+    const [newSlotName, setNewSlotName] = useState('');
+    const [renamingSlotId, setRenamingSlotId] = useState(null);
+    const [renameValue, setRenameValue] = useState('');
+
+    const refreshSaveSlots = useCallback(async () => {
+        setSaveSlots(await listSaveSlots());
+    }, [listSaveSlots]);
+
+    useEffect(() => {
+        if (storageAdapter) refreshSaveSlots();
+    }, [storageAdapter, refreshSaveSlots]);
+
+    const handleNewSave = async () => {
+        const name = newSlotName.trim() || `Farm (Day ${day})`;
+        if (await saveGame(createSaveSlotId(), name)) {
+            setNewSlotName('');
+            refreshSaveSlots();
+        }
+    };
+
+    const handleOverwrite = async (slot) => {
+        if (!window.confirm(`Overwrite "${slot.name}" with your current farm?`)) return;
+        if (await saveGame(slot.id, slot.name)) refreshSaveSlots();
+    };
+
+    const handleDelete = async (slot) => {
+        if (!window.confirm(`Delete "${slot.name}"? This cannot be undone.`)) return;
+        if (await deleteSaveSlot(slot.id)) refreshSaveSlots();
+    };
+
+    const handleImportFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // Allow picking the same file again
+        if (file) await importGame(file);
+    };
+
+    const handleReplayFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // Allow picking the same file again
+        if (file) await playReplay(file);
+    };
+
+    const handleNewWorld = () => {
+        if (!window.confirm("Start a new world? Unsaved progress on this farm will be lost.")) return;
+        startNewWorld(parseWorldSeed(newWorldSeed));
+        setNewWorldSeed('');
+    };
+
+    const handleRename = async (slot) => {
+        const name = renameValue.trim();
+        if (name && name !== slot.name && await renameSaveSlot(slot.id, name)) refreshSaveSlots();
+        setRenamingSlotId(null);
+    };
 
     return (
         <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50">
-            <div className="bg-gray-700 p-8 rounded-lg shadow-xl border-2 border-white w-full max-w-md">
+            <div className="bg-gray-700 p-8 rounded-lg shadow-xl border-2 border-white w-full max-w-2xl max-h-[90vh] overflow-y-auto">
                 <h2 className="text-3xl font-bold mb-6 text-center text-yellow-300">Settings</h2>
                 <div className="flex flex-col gap-4">
-                    {isAuthReady && (
-                        <>
-                            <button onClick={saveGame} className="px-6 py-3 bg-purple-600 hover:bg-purple-700 text-white text-xl font-bold rounded-md shadow-lg transition-colors">
-                                Save Game
+                    {/* Export / Import Section */}
+                    <div className="flex gap-2">
+                        <button onClick={exportGame} className="flex-1 px-4 py-2 bg-teal-600 hover:bg-teal-700 text-white text-lg font-bold rounded-md shadow-lg transition-colors">
+                            Export to File
+                        </button>
+                        <button onClick={() => importInputRef.current?.click()} className="flex-1 px-4 py-2 bg-teal-800 hover:bg-teal-900 text-white text-lg font-bold rounded-md shadow-lg transition-colors">
+                            Import from File
+                        </button>
+                        <input ref={importInputRef} type="file" accept="application/json,.json" onChange={handleImportFile} className="hidden" />
+                    </div>
+
+                    {/* Input Recording & Replay Section */}
+                    <div className="flex gap-2">
+                        {replayMode === REPLAY_MODE.RECORDING ? (
+                            <button onClick={stopRecording} className="flex-1 px-4 py-2 bg-red-600 hover:bg-red-700 text-white text-lg font-bold rounded-md shadow-lg transition-colors">
+                                Stop & Download Recording
                             </button>
-                            <button onClick={loadGame} className="px-6 py-3 bg-orange-600 hover:bg-orange-700 text-white text-xl font-bold rounded-md shadow-lg transition-colors">
-                                Load Game
+                        ) : (
+                            <button onClick={startRecording} disabled={replayMode === REPLAY_MODE.REPLAYING} className="flex-1 px-4 py-2 bg-purple-600 hover:bg-purple-700 disabled:opacity-50 text-white text-lg font-bold rounded-md shadow-lg transition-colors">
+                                Record Input
                             </button>
+                        )}
+                        {replayMode === REPLAY_MODE.REPLAYING ? (
+                            <button onClick={() => stopReplay()} className="flex-1 px-4 py-2 bg-red-600 hover:bg-red-700 text-white text-lg font-bold rounded-md shadow-lg transition-colors">
+                                Stop Replay
+                            </button>
+                        ) : (
+                            <button onClick={() => replayInputRef.current?.click()} className="flex-1 px-4 py-2 bg-purple-800 hover:bg-purple-900 text-white text-lg font-bold rounded-md shadow-lg transition-colors">
+                                Play Replay File
+                            </button>
+                        )}
+                        <input ref={replayInputRef} type="file" accept="application/json,.json" onChange={handleReplayFile} className="hidden" />
+                    </div>
+
+                    {/* World Seed Section */}
+                    <div className="bg-gray-800 p-3 rounded-md flex flex-col gap-2">
+                        <p className="text-lg">World Seed: <span className="text-yellow-300 select-all">{seed ?? 'Unknown (older save)'}</span></p>
+                        <div className="flex gap-2">
+                            <input
+                                type="text"
+                                value={newWorldSeed}
+                                onChange={(e) => setNewWorldSeed(e.target.value)}
+                                placeholder="Seed (leave blank for random)"
+                                className="flex-1 px-3 py-2 rounded-md bg-gray-900 border border-gray-500 text-white"
+                            />
+                            <button onClick={handleNewWorld} className="px-4 py-2 bg-red-600 hover:bg-red-700 text-white font-bold rounded-md transition-colors">
+                                New World
+                            </button>
+                        </div>
+                    </div>
+
+                    {storageAdapter && (
+                        <>
+                            <p className="text-center text-sm text-gray-300">Saving to: {storageAdapter.label}</p>
+                            <p className="text-center text-sm text-gray-300">
+                                Last saved: {lastSaveInfo ? `${new Date(lastSaveInfo.savedAt).toLocaleTimeString()} ("${lastSaveInfo.slotName}")` : 'Not yet this session'}
+                            </p>
+
+                            {/* Autosave Section */}
+                            <label className="flex items-center justify-between gap-2 bg-gray-800 p-3 rounded-md">
+                                <span className="text-lg">Autosave</span>
+                                <select
+                                    value={gameSettings.autosaveIntervalMinutes}
+                                    onChange={(e) => updateGameSettings({ autosaveIntervalMinutes: Number(e.target.value) })}
+                                    className="px-3 py-1 rounded-md bg-gray-900 border border-gray-500 text-white"
+                                >
+                                    {AUTOSAVE_INTERVAL_OPTIONS.map(minutes => (
+                                        <option key={minutes} value={minutes}>
+                                            {minutes === 0 ? 'Off' : `Every ${minutes} min (and on tab close)`}
+                                        </option>
+                                    ))}
+                                </select>
+                            </label>
+
+                            {/* Offline Growth Section */}
+                            <label className="flex items-center justify-between gap-2 bg-gray-800 p-3 rounded-md">
+                                <span className="text-lg">While Away</span>
+                                <select
+                                    value={gameSettings.offlineGrowthPolicy}
+                                    onChange={(e) => updateGameSettings({ offlineGrowthPolicy: e.target.value })}
+                                    className="px-3 py-1 rounded-md bg-gray-900 border border-gray-500 text-white"
+                                >
+                                    <option value={OFFLINE_GROWTH_POLICY.PAUSED}>Pause the farm</option>
+                                    <option value={OFFLINE_GROWTH_POLICY.CAPPED}>Catch up (max {OFFLINE_CATCH_UP_CAP_HOURS} in-game hours)</option>
+                                    <option value={OFFLINE_GROWTH_POLICY.REALTIME}>Catch up on all elapsed time (bills up to {OFFLINE_CATCH_UP_MAX_INSTALLMENTS} installments per loan)</option>
+                                </select>
+                            </label>
+
+                            {/* New Save Section */}
+                            <div className="flex gap-2">
+                                <input
+                                    type="text"
+                                    value={newSlotName}
+                                    onChange={(e) => setNewSlotName(e.target.value)}
+                                    placeholder={`Farm (Day ${day})`}
+                                    className="flex-1 px-3 py-2 rounded-md bg-gray-800 border border-gray-500 text-white"
+                                />
+                                <button onClick={handleNewSave} className="px-6 py-2 bg-purple-600 hover:bg-purple-700 text-white text-lg font-bold rounded-md shadow-lg transition-colors">
+                                    New Save
+                                </button>
+                            </div>
+
+                            {/* Save Slot Browser */}
+                            <h3 className="text-2xl font-semibold text-blue-300">Saved Games</h3>
+                            {saveSlots.length === 0 && (
+                                <p className="text-center text-gray-400">No saved games yet.</p>
+                            )}
+                            {saveSlots.map(slot => (
+                                <div key={slot.id} className="bg-gray-800 p-3 rounded-md flex items-center gap-3">
+                                    {slot.thumbnail ? (
+                                        <img src={slot.thumbnail} alt={`${slot.name} preview`} className="w-24 h-12 rounded border border-gray-500" />
+                                    ) : (
+                                        <div className="w-24 h-12 rounded border border-gray-500 bg-black" />
+                                    )}
+                                    <div className="flex-1 min-w-0">
+                                        {renamingSlotId === slot.id ? (
+                                            <input
+                                                type="text"
+                                                value={renameValue}
+                                                autoFocus
+                                                onChange={(e) => setRenameValue(e.target.value)}
+                                                onKeyDown={(e) => { if (e.key === 'Enter') handleRename(slot); if (e.key === 'Escape') setRenamingSlotId(null); }}
+                                                onBlur={() => handleRename(slot)}
+                                                className="w-full px-2 py-1 rounded bg-gray-900 border border-gray-500 text-white"
+                                            />
+                                        ) : (
+                                            <div className="text-lg font-bold truncate">{slot.name}</div>
+                                        )}
+                                        <div className="text-xs text-gray-300">
+                                            Day {slot.day ?? 1} · ${(slot.money ?? 0).toFixed(2)} · {slot.savedAt ? new Date(slot.savedAt).toLocaleString() : 'Unknown date'}
+                                        </div>
+                                    </div>
+                                    <div className="flex flex-wrap gap-1 justify-end">
+                                        <button onClick={() => loadGame(slot.id)} className="px-3 py-1 bg-orange-600 hover:bg-orange-700 text-white text-sm rounded-md transition-colors">
+                                            Load
+                                        </button>
+                                        <button onClick={() => handleOverwrite(slot)} className="px-3 py-1 bg-purple-600 hover:bg-purple-700 text-white text-sm rounded-md transition-colors">
+                                            Overwrite
+                                        </button>
+                                        <button onClick={() => { setRenamingSlotId(slot.id); setRenameValue(slot.name); }} className="px-3 py-1 bg-indigo-600 hover:bg-indigo-700 text-white text-sm rounded-md transition-colors">
+                                            Rename
+                                        </button>
+                                        <button onClick={() => handleDelete(slot)} className="px-3 py-1 bg-red-600 hover:bg-red-700 text-white text-sm rounded-md transition-colors">
+                                            Delete
+                                        </button>
+                                    </div>
+                                </div>
+                            ))}
                         </>
                     )}
-                    {!isAuthReady && (
-                        <p className="text-center text-red-400">Firebase not ready. Save/Load unavailable.</p>
+                    {!storageAdapter && (
+                        <p className="text-center text-red-400">Storage not ready. Save/Load unavailable.</p>
                     )}
                 </div>
                 <button
@@ -2526,13 +6074,15 @@ const App = () => {
 
 // This component uses the context to access game state and render modals conditionally
 const GameContent = () => {
-    const { isShopOpen, isSettingsOpen } = useGame();
+    const { isShopOpen, isSettingsOpen, isFinanceOpen, bank } = useGame();
 
     return (
         <div className="flex flex-col items-center justify-center min-h-screen bg-gray-800 text-white font-mono p-4">
             <GameCanvas />
             <UIOverlay />
             {isShopOpen && <ShopModal />}
+            {isFinanceOpen && <FinanceModal />}
+            {bank.bankrupt && <BankruptcyModal />}
             {isSettingsOpen && <SettingsModal />}
         </div>
     );